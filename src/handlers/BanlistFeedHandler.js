@@ -0,0 +1,43 @@
+const { RESTJSONErrorCodes } = require('discord.js')
+
+const { MillenniumEyeBot } = require('lib/models/MillenniumEyeBot')
+const Banlist = require('lib/models/Banlist')
+const { KONAMI_DB_LOGO } = require('lib/models/Defines')
+const { logger, logError } = require('lib/utils/logging')
+
+/**
+ * Posts the changelog of every changed Forbidden & Limited list to every channel subscribed to its CG.
+ * @param {MillenniumEyeBot} bot The bot.
+ * @param {Array<{oldList: Banlist, newList: Banlist}>} banlistChanges Every list that changed, along with what it was before.
+ */
+async function postBanlistChanges(bot, banlistChanges) {
+	for (const [channelId, feed] of bot.getBanlistFeeds()) {
+		const changes = banlistChanges.filter(c => !feed.cgs.length || feed.cgs.includes(c.newList.cg))
+		if (!changes.length) continue
+
+		try {
+			const channel = await bot.channels.fetch(channelId)
+			const locale = bot.getCurrentChannelSetting(channel, 'locale')
+			for (const c of changes) {
+				const diffEmbeds = await c.oldList.generateDiffEmbeds(c.newList, locale)
+				diffEmbeds[0].setAuthor({ name: 'Forbidden & Limited List Update', iconURL: KONAMI_DB_LOGO })
+				for (const e of diffEmbeds)
+					await channel.send({ embeds: [e] })
+			}
+			logger.info(`Posted banlist changes to channel ${channelId}.`)
+		}
+		catch (err) {
+			// If the channel is gone, there's no point trying to post to it again.
+			if (err.code === RESTJSONErrorCodes.UnknownChannel) {
+				bot.channelSettings.remove([channelId, 'banlistFeed'])
+				logger.info(`Removed banlist feed subscription of deleted channel ${channelId}.`)
+			}
+			else
+				await logError(err, `Failed to post banlist changes to channel ${channelId}.`)
+		}
+	}
+}
+
+module.exports = {
+	postBanlistChanges
+}
\ No newline at end of file
@@ -4,8 +4,24 @@ const Search = require('lib/models/Search')
 const { BOT_DB_PATH } = require('lib/models/Defines')
 const { TCGPlayerSet, TCGPlayerProduct, TCGPlayerPrice } = require('lib/models/TCGPlayer')
 const Card = require('lib/models/Card')
+const Banlist = require('lib/models/Banlist')
 
 const botDb = new Database(BOT_DB_PATH)
+// The passcode index is built up by the bot from any card data it finds that has both a passcode and a database ID.
+botDb.exec('CREATE TABLE IF NOT EXISTS passcodeIndex(passcode INTEGER PRIMARY KEY, dbId INTEGER NOT NULL)')
+// Rulings quiz scores are tracked per guild.
+botDb.exec(`CREATE TABLE IF NOT EXISTS quizScores(
+	guildId TEXT NOT NULL, userId TEXT NOT NULL, 
+	correct INTEGER NOT NULL DEFAULT 0, answered INTEGER NOT NULL DEFAULT 0, streak INTEGER NOT NULL DEFAULT 0, bestStreak INTEGER NOT NULL DEFAULT 0, 
+	PRIMARY KEY(guildId, userId)
+)`)
+// Custom Forbidden & Limited lists are defined per guild. Unlimited cards aren't stored, same as the official lists.
+// Unlike the official lists, their cards are keyed by database ID, since servers can put cards on them that have no English name.
+botDb.exec('CREATE TABLE IF NOT EXISTS customBanlists(guildId TEXT NOT NULL, name TEXT NOT NULL COLLATE NOCASE, PRIMARY KEY(guildId, name))')
+botDb.exec(`CREATE TABLE IF NOT EXISTS customBanlistCards(
+	guildId TEXT NOT NULL, listName TEXT NOT NULL COLLATE NOCASE, cardId INTEGER NOT NULL, cardName TEXT NOT NULL, copies INTEGER NOT NULL, 
+	PRIMARY KEY(guildId, listName, cardId)
+)`)
 
 /**
  * @typedef {Object} SetData
@@ -154,6 +170,182 @@ function searchTcgplayerData(searches) {
 	}
 }
 
+/**
+ * Search the bot database for the TCGPlayer product with the given print code.
+ * @param {String} printCode The print code to look for (e.g., LOB-EN001).
+ * @returns {Object} The database ID (if known) and full name of the product, or undefined if no product has that print code.
+ */
+function searchTcgplayerPrintCode(printCode) {
+	// Prefer rows that already know their database ID.
+	const productQry = botDb.prepare('SELECT dbId, fullName FROM tcgplayerProducts WHERE printCode = ? COLLATE NOCASE ORDER BY dbId IS NULL')
+	const productRow = productQry.get(printCode)
+	if (!productRow) return undefined
+
+	return { 'dbId': productRow.dbId ?? undefined, 'fullName': productRow.fullName }
+}
+
+/**
+ * Search the passcode index for the database ID of the card with the given passcode.
+ * @param {Number} passcode The passcode to look for.
+ * @returns {Number} The database ID of the card with that passcode, or undefined if we don't know of one.
+ */
+function searchPasscodeIndex(passcode) {
+	const indexRow = botDb.prepare('SELECT dbId FROM passcodeIndex WHERE passcode = ?').get(passcode)
+
+	return indexRow ? indexRow.dbId : undefined
+}
+
+/**
+ * Adds the passcodes of the given cards to the passcode index.
+ * Cards that are missing either a passcode or a database ID are ignored.
+ * @param {Array<Card>} cards The cards to add to the index.
+ */
+function addToPasscodeIndex(cards) {
+	const insertPasscode = botDb.prepare('INSERT OR REPLACE INTO passcodeIndex(passcode, dbId) VALUES(?, ?)')
+	const insertAllPasscodes = botDb.transaction(cardData => {
+		for (const c of cardData)
+			if (c.passcode && c.dbId)
+				insertPasscode.run(c.passcode, c.dbId)
+	})
+	insertAllPasscodes(cards)
+}
+
+/**
+ * Records the answers users gave to a rulings quiz question, updating their scores and streaks.
+ * @param {String} guildId The ID of the guild the quiz was in.
+ * @param {Map<String, Boolean>} answers Each user that answered, mapped to whether they answered correctly.
+ */
+function recordQuizAnswers(guildId, answers) {
+	const ensureRow = botDb.prepare('INSERT OR IGNORE INTO quizScores(guildId, userId) VALUES(?, ?)')
+	const recordCorrect = botDb.prepare(`
+		UPDATE quizScores SET correct = correct + 1, answered = answered + 1, streak = streak + 1, bestStreak = MAX(bestStreak, streak + 1)
+		WHERE guildId = ? AND userId = ?
+	`)
+	const recordWrong = botDb.prepare('UPDATE quizScores SET answered = answered + 1, streak = 0 WHERE guildId = ? AND userId = ?')
+
+	const recordAll = botDb.transaction(answerData => {
+		for (const [userId, correct] of answerData) {
+			ensureRow.run(guildId, userId)
+			if (correct) recordCorrect.run(guildId, userId)
+			else recordWrong.run(guildId, userId)
+		}
+	})
+	recordAll(answers)
+}
+
+/**
+ * Gets the best rulings quiz scores in a guild.
+ * @param {String} guildId The ID of the guild.
+ * @param {Number} limit The max number of scores to return.
+ * @returns {Array<Object>} The user ID, correct and total answers, and current and best streaks of each user, best scores first.
+ */
+function getQuizLeaderboard(guildId, limit) {
+	return botDb.prepare(`
+		SELECT userId, correct, answered, streak, bestStreak FROM quizScores 
+		WHERE guildId = ? 
+		ORDER BY correct DESC, bestStreak DESC, answered ASC LIMIT ?
+	`).all(guildId, limit)
+}
+
+/**
+ * Gets a user's rulings quiz score in a guild, along with their rank on its leaderboard.
+ * @param {String} guildId The ID of the guild.
+ * @param {String} userId The ID of the user.
+ * @returns {Object} The same data as a leaderboard entry plus the user's rank, or undefined if they've never answered a question.
+ */
+function getQuizScore(guildId, userId) {
+	const scoreRow = botDb.prepare('SELECT userId, correct, answered, streak, bestStreak FROM quizScores WHERE guildId = ? AND userId = ?').get(guildId, userId)
+	if (!scoreRow) return undefined
+
+	// Rank by the same ordering as the leaderboard.
+	scoreRow.rank = botDb.prepare(`
+		SELECT COUNT(*) AS numAhead FROM quizScores 
+		WHERE guildId = ? AND (correct > ? OR (correct = ? AND (bestStreak > ? OR (bestStreak = ? AND answered < ?))))
+	`).get(guildId, scoreRow.correct, scoreRow.correct, scoreRow.bestStreak, scoreRow.bestStreak, scoreRow.answered).numAhead + 1
+
+	return scoreRow
+}
+
+/**
+ * Creates a new, empty custom Forbidden & Limited list in a guild.
+ * @param {String} guildId The ID of the guild.
+ * @param {String} name The name of the list.
+ * @returns {Boolean} Whether the list was created, false if the guild already has a list by that name.
+ */
+function createCustomBanlist(guildId, name) {
+	return botDb.prepare('INSERT OR IGNORE INTO customBanlists(guildId, name) VALUES(?, ?)').run(guildId, name).changes > 0
+}
+
+/**
+ * Deletes a custom Forbidden & Limited list, along with every card on it.
+ * @param {String} guildId The ID of the guild.
+ * @param {String} name The name of the list.
+ * @returns {Boolean} Whether the list was deleted, false if the guild has no list by that name.
+ */
+function deleteCustomBanlist(guildId, name) {
+	const deleteList = botDb.transaction(() => {
+		botDb.prepare('DELETE FROM customBanlistCards WHERE guildId = ? AND listName = ?').run(guildId, name)
+		return botDb.prepare('DELETE FROM customBanlists WHERE guildId = ? AND name = ?').run(guildId, name).changes > 0
+	})
+
+	return deleteList()
+}
+
+/**
+ * Gets the names of every custom Forbidden & Limited list in a guild.
+ * @param {String} guildId The ID of the guild.
+ * @returns {Array<Object>} The name and number of cards of each list, sorted by name.
+ */
+function getCustomBanlists(guildId) {
+	return botDb.prepare(`
+		SELECT name, (SELECT COUNT(*) FROM customBanlistCards WHERE guildId = customBanlists.guildId AND listName = customBanlists.name) AS numCards 
+		FROM customBanlists WHERE guildId = ? 
+		ORDER BY name
+	`).all(guildId)
+}
+
+/**
+ * Loads a custom Forbidden & Limited list.
+ * @param {String} guildId The ID of the guild.
+ * @param {String} name The name of the list (case insensitive).
+ * @returns {Banlist} The list, or undefined if the guild has no list by that name.
+ */
+function getCustomBanlist(guildId, name) {
+	const listRow = botDb.prepare('SELECT name FROM customBanlists WHERE guildId = ? AND name = ?').get(guildId, name)
+	if (!listRow) return undefined
+
+	const banlist = new Banlist('custom', null, null, listRow.name)
+	const cardRows = botDb.prepare('SELECT cardId, cardName, copies FROM customBanlistCards WHERE guildId = ? AND listName = ?').all(guildId, listRow.name)
+	for (const r of cardRows)
+		banlist.cards.set(r.cardId, { cardId: r.cardId, cardName: r.cardName, copies: r.copies })
+
+	return banlist
+}
+
+/**
+ * Sets the status of cards on a custom Forbidden & Limited list. Cards set to Unlimited are taken off the list.
+ * @param {String} guildId The ID of the guild.
+ * @param {String} name The name of the list, which must already exist.
+ * @param {Array<Object>} entries The database ID, name (to display it under), and number of copies allowed of each card.
+ * @param {Boolean} replace Whether to take every card not in the given entries off the list.
+ */
+function setCustomBanlistCards(guildId, name, entries, replace = false) {
+	const clearCards = botDb.prepare('DELETE FROM customBanlistCards WHERE guildId = ? AND listName = ?')
+	const removeCard = botDb.prepare('DELETE FROM customBanlistCards WHERE guildId = ? AND listName = ? AND cardId = ?')
+	const insertCard = botDb.prepare('INSERT OR REPLACE INTO customBanlistCards(guildId, listName, cardId, cardName, copies) VALUES(?, ?, ?, ?, ?)')
+
+	const setAllCards = botDb.transaction(entryData => {
+		if (replace) clearCards.run(guildId, name)
+		for (const e of entryData) {
+			if (e.copies >= 3)
+				removeCard.run(guildId, name, e.cardId)
+			else
+				insertCard.run(guildId, name, e.cardId, e.cardName, e.copies)
+		}
+	})
+	setAllCards(entries)
+}
+
 /**
  * Inserts the given product or set data (or searches containing said data) into the bot database.
  * @param {Array<TCGPlayerSet|TCGPlayerProduct|Search>} tcgData The data to add to the database (or searches containing set data to add).
@@ -272,5 +464,7 @@ function getCachedProductData() {
 }
 
 module.exports = {
-	searchTcgplayerData, addTcgplayerDataToDb, getCachedProductData
+	searchTcgplayerData, searchTcgplayerPrintCode, addTcgplayerDataToDb, getCachedProductData,
+	searchPasscodeIndex, addToPasscodeIndex, recordQuizAnswers, getQuizLeaderboard, getQuizScore,
+	createCustomBanlist, deleteCustomBanlist, getCustomBanlists, getCustomBanlist, setCustomBanlistCards
 }
\ No newline at end of file
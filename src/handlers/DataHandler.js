@@ -4,8 +4,10 @@ const Card = require('lib/models/Card')
 const Query = require('lib/models/Query')
 const Ruling = require('lib/models/Ruling')
 const Search = require('lib/models/Search')
-const { addTcgplayerDataToDb } = require('./BotDBHandler')
-const { addToLocalYgoresourcesDb, searchArtworkRepo, populateCardFromYgoresourcesApi, populateRulingFromYgoresourcesApi, getAllNeuronArts } = require('./YGOResourcesHandler')
+const ResultList = require('lib/models/ResultList')
+const RulingList = require('lib/models/RulingList')
+const { addTcgplayerDataToDb, addToPasscodeIndex } = require('./BotDBHandler')
+const { addToLocalYgoresourcesDb, searchArtworkRepo, populateCardFromYgoresourcesApi, populateRulingFromYgoresourcesApi, getAllNeuronArts, getCachedCardName } = require('./YGOResourcesHandler')
 const { populateCardFromYugipediaApi } = require('./YugipediaHandler')
 const { getBanlistStatus } = require('./KonamiDBHandler')
 
@@ -86,6 +88,39 @@ async function convertYgoresourcesDataToSearchData(qry, qaSearches, cardSearches
 	}
 }
 
+/**
+ * This is the callback data handler for turning matches from the effect text index into usable Search data (a ResultList).
+ * @param {Query} qry The query containing these searches.
+ * @param {Array<Search>} textSearches The effect text searches that found matches.
+ */
+async function convertEffectTextDataToSearchData(qry, textSearches) {
+	for (const s of textSearches) {
+		s.data = new ResultList(`Effect text search: "${s.term}"`)
+		for (const m of s.rawData)
+			s.data.results.push({ id: m.cardId, name: m.name, detail: m.snippet })
+		s.rawData = undefined
+	}
+}
+
+/**
+ * This is the callback data handler for turning QAs found through the QA card index into usable Search data (a RulingList).
+ * @param {Query} qry The query containing these searches.
+ * @param {Array<Search>} interactionSearches The QA card index searches that found QAs.
+ */
+async function convertQaCardIndexDataToSearchData(qry, interactionSearches) {
+	for (const s of interactionSearches) {
+		const locale = s.localeToTypesMap.keys().next().value
+		const cardNames = []
+		for (const id of s.rawData.cardIds)
+			cardNames.push(await getCachedCardName(id, locale) ?? await getCachedCardName(id, 'en') ?? id)
+
+		s.data = new RulingList(`Q&As for ${cardNames.join(' + ')}`)
+		s.data.qaIds = s.rawData.qaIds
+		s.data.total = s.rawData.qaIds.length
+		s.rawData = undefined
+	}
+}
+
 /**
  * Converts a Yugipedia API query to card data and adds any new data to the bot database.
  * @param {Array<Search>} searches The searches that produced API data.
@@ -120,6 +155,8 @@ function convertYugipediaDataToSearchData(searches, qry) {
 			s.rawData = undefined
 
 			getBanlistStatus(s.data)
+			// Remember this card's passcode so later passcode searches can go straight to the database.
+			addToPasscodeIndex([s.data])
 
 			// Did we get a better search term out of this?
 			if (s.data.dbId)
@@ -153,6 +190,6 @@ function cacheTcgplayerPriceData(searches) {
 }
 
 module.exports = {
-	convertYgoresourcesDataToSearchData, 
+	convertYgoresourcesDataToSearchData, convertEffectTextDataToSearchData, convertQaCardIndexDataToSearchData,
 	convertYugipediaDataToSearchData, cacheTcgplayerPriceData
 }
\ No newline at end of file
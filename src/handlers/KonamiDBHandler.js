@@ -1,12 +1,16 @@
 const Database = require('better-sqlite3')
 const fs = require('fs')
 
-const { KONAMI_DB_PATH, MASTER_DUEL_API, API_TIMEOUT, MASTER_DUEL_API_RESPONSE_PATH } = require('lib/models/Defines')
+const { KONAMI_DB_PATH, BanlistCgs, MASTER_DUEL_API, API_TIMEOUT, MASTER_DUEL_API_RESPONSE_PATH } = require('lib/models/Defines')
 const Card = require('lib/models/Card')
+const Banlist = require('lib/models/Banlist')
 const { PythonShell } = require('python-shell')
 const { logger, logError } = require('lib/utils/logging')
 
 const _konamiDb = new Database(KONAMI_DB_PATH)
+// The banlist table only ever has the current lists, so keep a snapshot of each list whenever it changes.
+_konamiDb.exec('CREATE TABLE IF NOT EXISTS banlistSnapshots(id INTEGER PRIMARY KEY AUTOINCREMENT, cg TEXT NOT NULL, effectiveDate TEXT NOT NULL)')
+_konamiDb.exec('CREATE TABLE IF NOT EXISTS banlistSnapshotCards(snapshotId INTEGER NOT NULL, cardId INTEGER, cardName TEXT NOT NULL, copies INTEGER NOT NULL, PRIMARY KEY(snapshotId, cardName))')
 
 /**
  * Gathers the banlist status of a card.
@@ -22,12 +26,41 @@ function getBanlistStatus(card) {
 	}
 }
 
+/**
+ * Gathers a card's status on every saved snapshot of each CG's banlist, collapsed into the periods it held each status.
+ * @param {Card} card The card to find the banlist history of.
+ * @returns {Object} A map of CG -> the periods of the card's status in that CG, oldest first. 
+ * Each period has the number of copies allowed (3 = Unlimited) and the effective date of the first snapshot with it.
+ */
+function getBanlistHistory(card) {
+	const getSnapshotStatusQuery = _konamiDb.prepare(`
+		SELECT s.effectiveDate, c.copies FROM banlistSnapshots s
+		LEFT JOIN banlistSnapshotCards c ON c.snapshotId = s.id AND (c.cardId = ? OR c.cardName = ?)
+		WHERE s.cg = ? ORDER BY s.id
+	`)
+
+	const history = {}
+	for (const cg of Object.keys(BanlistCgs)) {
+		const periods = []
+		for (const r of getSnapshotStatusQuery.all(card.dbId, card.name.get('en'), cg)) {
+			// Cards that aren't on a list are Unlimited on it.
+			const copies = r.copies ?? 3
+			if (!periods.length || periods[periods.length - 1].copies !== copies)
+				periods.push({ copies: copies, since: r.effectiveDate })
+		}
+		history[cg] = periods
+	}
+
+	return history
+}
+
 /**
  * Runs underlying Python scripts to scrape the Konami database for data.
  * Those scripts used to scrape all card data since the bot's primary data source was the official DB,
  * but now that its primary source is YGOResources DB, all the scripts do is update the banlist information, which is the last dependency on the Konami DB.
+ * @param {Function} banlistChangeCallback Called with every banlist that changed (see _snapshotBanlists) once the update is done, if there were any.
  */
-async function updateKonamiDb() {
+async function updateKonamiDb(banlistChangeCallback = undefined) {
 	const updateKonami = new PythonShell(`${process.cwd()}/data/carddata.py`, { pythonOptions: '-u', args: KONAMI_DB_PATH })
 	updateKonami.on('message', msg => console.log(msg))
 
@@ -41,7 +74,22 @@ async function updateKonamiDb() {
 		})
 	}).catch(err => logError(err, 'Failed to update Konami banlist data.'))
 
-	// Update Master Duel banlist details by parsing through the whole card list.
+	await _updateMasterDuelBanlist()
+	const banlistChanges = _snapshotBanlists()
+	if (banlistChangeCallback && banlistChanges.length) {
+		try {
+			await banlistChangeCallback(banlistChanges)
+		}
+		catch (err) {
+			await logError(err, 'Failed to report banlist changes.')
+		}
+	}
+}
+
+/**
+ * Updates Master Duel banlist details by parsing through the whole card list from the Master Duel Meta API.
+ */
+async function _updateMasterDuelBanlist() {
 	let cardData = []
 
 	// First, check if we have cached card data from MasterDuelMeta.
@@ -169,6 +217,84 @@ async function updateKonamiDb() {
 	logger.info(`Done setting Master Duel banlist data for ${Object.keys(cardListData).length} cards.`)
 }
 
+/**
+ * Saves a snapshot of each CG's current banlist if it's different from the last one saved.
+ * Konami doesn't give us the date a list takes effect, so the date a new list is first seen stands in for it.
+ * @returns {Array<{oldList: Banlist, newList: Banlist}>} Every list that changed from its last snapshot, along with that snapshot. 
+ * The first snapshot of a list isn't a change, so it isn't included.
+ */
+function _snapshotBanlists() {
+	const banlistChanges = []
+	const insertSnapshot = _konamiDb.prepare('INSERT INTO banlistSnapshots(cg, effectiveDate) VALUES(?, ?)')
+	const insertSnapshotCard = _konamiDb.prepare('INSERT INTO banlistSnapshotCards(snapshotId, cardId, cardName, copies) VALUES(?, ?, ?, ?)')
+	const saveSnapshot = _konamiDb.transaction(banlist => {
+		const snapshotId = insertSnapshot.run(banlist.cg, banlist.effectiveDate).lastInsertRowid
+		for (const [cardName, entry] of banlist.cards)
+			insertSnapshotCard.run(snapshotId, entry.cardId, cardName, entry.copies)
+
+		return snapshotId
+	})
+
+	const today = new Date().toISOString().slice(0, 10)
+	for (const cg of Object.keys(BanlistCgs)) {
+		const currList = getCurrentBanlist(cg)
+		// An empty list means the update failed somewhere, not that every card was unhit.
+		if (!currList.cards.size) continue
+		currList.effectiveDate = today
+
+		const lastSnapshot = getBanlistSnapshots(cg)[0]
+		const lastList = lastSnapshot ? getBanlistSnapshot(lastSnapshot.id) : undefined
+		if (lastList && !lastList.diff(currList).length) continue
+
+		currList.id = saveSnapshot(currList)
+		logger.info(`Saved snapshot of new ${BanlistCgs[cg]} banlist with ${currList.cards.size} cards.`)
+		if (lastList)
+			banlistChanges.push({ oldList: lastList, newList: currList })
+	}
+
+	return banlistChanges
+}
+
+/**
+ * Loads a CG's current banlist.
+ * @param {String} cg The CG (tcg, ocg, md).
+ * @returns {Banlist} The current banlist, dated by its latest snapshot (if there is one).
+ */
+function getCurrentBanlist(cg) {
+	const lastSnapshot = getBanlistSnapshots(cg)[0]
+	const banlist = new Banlist(cg, lastSnapshot ? lastSnapshot.effectiveDate : null)
+	// Unreleased cards are tracked in the banlist table too, but they aren't part of the list itself.
+	for (const r of _konamiDb.prepare('SELECT cardId, cardName, copies FROM banlist WHERE cg = ? AND copies >= 0').all(cg))
+		banlist.cards.set(r.cardName, { cardId: r.cardId, cardName: r.cardName, copies: r.copies })
+
+	return banlist
+}
+
+/**
+ * Returns every saved snapshot of a CG's banlist.
+ * @param {String} cg The CG (tcg, ocg, md).
+ * @returns {Array<{id: Number, cg: String, effectiveDate: String}>} The snapshots, newest first.
+ */
+function getBanlistSnapshots(cg) {
+	return _konamiDb.prepare('SELECT id, cg, effectiveDate FROM banlistSnapshots WHERE cg = ? ORDER BY id DESC').all(cg)
+}
+
+/**
+ * Loads a saved snapshot of a banlist.
+ * @param {Number} snapshotId The ID of the snapshot.
+ * @returns {Banlist} The banlist as it was in the snapshot, or undefined if there's no such snapshot.
+ */
+function getBanlistSnapshot(snapshotId) {
+	const snapshot = _konamiDb.prepare('SELECT id, cg, effectiveDate FROM banlistSnapshots WHERE id = ?').get(snapshotId)
+	if (!snapshot) return undefined
+
+	const banlist = new Banlist(snapshot.cg, snapshot.effectiveDate, snapshot.id)
+	for (const r of _konamiDb.prepare('SELECT cardId, cardName, copies FROM banlistSnapshotCards WHERE snapshotId = ?').all(snapshotId))
+		banlist.cards.set(r.cardName, { cardId: r.cardId, cardName: r.cardName, copies: r.copies })
+
+	return banlist
+}
+
 module.exports = {
-	getBanlistStatus, updateKonamiDb
+	getBanlistStatus, getBanlistHistory, updateKonamiDb, getCurrentBanlist, getBanlistSnapshots, getBanlistSnapshot
 }
\ No newline at end of file
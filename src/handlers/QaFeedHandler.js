@@ -0,0 +1,124 @@
+const { EmbedBuilder, embedLength, RESTJSONErrorCodes } = require('discord.js')
+
+const { MillenniumEyeBot } = require('lib/models/MillenniumEyeBot')
+const Ruling = require('lib/models/Ruling')
+const { Locales, LocaleEmojis, YGORESOURCES_QA_LINK, KONAMI_DB_LOGO } = require('lib/models/Defines')
+const { logger, logError, breakUpDiscordMessage } = require('lib/utils/logging')
+const { replaceIdsWithNames } = require('lib/utils/regex')
+const { diffText, formatDiff } = require('lib/utils/diff')
+
+/**
+ * @typedef {Object} QaChange
+ * @property {Ruling} ruling The QA as it is now.
+ * @property {Ruling} oldRuling The QA as it was before it changed, if it's not new.
+ * @property {Boolean} isNew Whether the QA is entirely new.
+ * @property {Array<String>} translatedLocales The locales the QA was newly translated into (or had an outdated translation brought up to date).
+ * @property {Array<String>} changedLocales The locales whose answer changed.
+ */
+
+/**
+ * Generates the digest of new and updated QAs for a channel's Q&A feed, only reporting what its subscription asks for.
+ * @param {Array<QaChange>} qaChanges Every notable change to a QA.
+ * @param {Object} feed The channel's subscription, with the locales and cards it reports.
+ * @returns {Promise<Array<EmbedBuilder>>} The embeds of the digest, split up to fit in messages. Empty if there's nothing to report.
+ */
+async function generateQaFeedDigest(qaChanges, feed) {
+	const locales = feed.locales.length ? feed.locales : Object.keys(Locales)
+	const watchedCards = new Set(feed.cards)
+
+	const newLines = []
+	const translatedLines = []
+	const changedFields = []
+	for (const c of qaChanges) {
+		if (watchedCards.size && !c.ruling.cards.some(cid => watchedCards.has(Number(cid)))) continue
+
+		const qaLink = locale => `[Q&A #${c.ruling.id}](${YGORESOURCES_QA_LINK}${c.ruling.id}:${locale})`
+		const qaTitle = async locale => await replaceIdsWithNames(c.ruling.title.get(locale), locale, false)
+		if (c.isNew) {
+			// Brand new QAs usually only exist in Japanese at first. They'll be reported again once they're translated into the locales being followed.
+			const newLocale = locales.find(l => c.ruling.title.has(l))
+			if (newLocale)
+				newLines.push(`● ${qaLink(newLocale)}: ${await qaTitle(newLocale)}`)
+			continue
+		}
+
+		const translatedLocales = c.translatedLocales.filter(l => locales.includes(l))
+		if (translatedLocales.length)
+			translatedLines.push(`● ${qaLink(translatedLocales[0])}: ${await qaTitle(translatedLocales[0])} (${translatedLocales.map(l => LocaleEmojis[l]).join(' ')})`)
+		for (const l of c.changedLocales.filter(l => locales.includes(l))) {
+			// Same as when displaying rulings, ignore the lists of other cards the answer could apply to.
+			const oldAnswer = await replaceIdsWithNames(c.oldRuling.answer.get(l).split('~~~')[0].trim(), l, false)
+			const newAnswer = await replaceIdsWithNames(c.ruling.answer.get(l).split('~~~')[0].trim(), l, false)
+			const viewLink = `${LocaleEmojis[l]} ${qaLink(l)}\n`
+
+			let fieldName = await qaTitle(l)
+			if (fieldName.length > 256)
+				fieldName = `${fieldName.slice(0, 255)}…`
+			changedFields.push({ name: fieldName, value: viewLink + formatDiff(diffText(oldAnswer, newAnswer), 1024 - viewLink.length), inline: false })
+		}
+	}
+	if (!newLines.length && !translatedLines.length && !changedFields.length)
+		return []
+
+	// Lists of QAs are broken up into as many fields as they need.
+	const fields = []
+	const addListFields = (name, lines) => {
+		if (!lines.length) return
+		breakUpDiscordMessage(lines.join('\n'), 1024).forEach((value, i) => {
+			fields.push({ name: i === 0 ? name : `${name} (cont.)`, value: value, inline: false })
+		})
+	}
+	addListFields('__New Q&As__', newLines)
+	addListFields('__Newly Translated Q&As__', translatedLines)
+	if (changedFields.length)
+		fields.push({ name: '__Changed Answers__', value: 'Removed text is ~~struck through~~, added text is **bolded**.', inline: false }, ...changedFields)
+
+	// Fit as many fields in each embed as Discord allows, both in number and in total length.
+	const digestEmbeds = []
+	let currEmbed = undefined
+	for (const f of fields) {
+		if (!currEmbed || currEmbed.data.fields.length >= 25 || embedLength(currEmbed.data) + f.name.length + f.value.length > 5800) {
+			currEmbed = new EmbedBuilder()
+				.setAuthor({ name: 'Q&A Feed', iconURL: KONAMI_DB_LOGO })
+				.setColor(0x2C2F33)
+				.setFields([])
+			digestEmbeds.push(currEmbed)
+		}
+		currEmbed.addFields(f)
+	}
+	digestEmbeds[0].setDescription(`${newLines.length} new, ${translatedLines.length} newly translated, and ${changedFields.length} changed answer(s) since the last update.`)
+
+	return digestEmbeds
+}
+
+/**
+ * Posts a digest of new and updated QAs to every channel subscribed to the Q&A feed.
+ * @param {MillenniumEyeBot} bot The bot.
+ * @param {Array<QaChange>} qaChanges Every notable change to a QA.
+ */
+async function postQaFeedDigests(bot, qaChanges) {
+	for (const [channelId, feed] of bot.getQaFeeds()) {
+		const digestEmbeds = await generateQaFeedDigest(qaChanges, feed)
+		if (!digestEmbeds.length) continue
+
+		try {
+			const channel = await bot.channels.fetch(channelId)
+			for (const e of digestEmbeds)
+				await channel.send({ embeds: [e] })
+			logger.info(`Posted Q&A feed digest to channel ${channelId}.`)
+		}
+		catch (err) {
+			// If the channel is gone, there's no point trying to post to it again.
+			if (err.code === RESTJSONErrorCodes.UnknownChannel) {
+				bot.channelSettings.remove([channelId, 'qaFeed'])
+				logger.info(`Removed Q&A feed subscription of deleted channel ${channelId}.`)
+			}
+			else
+				await logError(err, `Failed to post Q&A feed digest to channel ${channelId}.`)
+		}
+	}
+}
+
+module.exports = {
+	generateQaFeedDigest, postQaFeedDigests
+}
\ No newline at end of file
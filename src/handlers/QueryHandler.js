@@ -1,13 +1,18 @@
-const { Message, CommandInteraction, DiscordjsErrorCodes } = require('discord.js')
+const { Message, CommandInteraction, StringSelectMenuInteraction, DiscordjsErrorCodes, EmbedBuilder, ActionRowBuilder, ButtonBuilder, embedLength } = require('discord.js')
 const Cache = require('timed-cache')
+const path = require('path')
 
 const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
+const Card = require('lib/models/Card')
+const Ruling = require('lib/models/Ruling')
 const { MillenniumEyeBot } = require('lib/models/MillenniumEyeBot')
-const { SEARCH_TIMEOUT_TRIGGER, CACHE_TIMEOUT } = require('lib/models/Defines')
+const { Locales, LocaleEmojis, SEARCH_TIMEOUT_TRIGGER, CACHE_TIMEOUT, COMPONENT_TIMEOUT } = require('lib/models/Defines')
 const { logger, logError } = require('lib/utils/logging')
-const { searchYgoresourcesDb } = require('./YGOResourcesHandler')
+const { generatePageButtons, generateSelectRow } = require('lib/utils/components')
+const { searchYgoresourcesDb, searchQaCardIndex, searchEffectTextIndex } = require('./YGOResourcesHandler')
 const { searchYugipedia } = require('./YugipediaHandler')
-const { convertYgoresourcesDataToSearchData, convertYugipediaDataToSearchData, cacheTcgplayerPriceData } = require('./DataHandler')
+const { convertYgoresourcesDataToSearchData, convertQaCardIndexDataToSearchData, convertEffectTextDataToSearchData, convertYugipediaDataToSearchData, cacheTcgplayerPriceData } = require('./DataHandler')
 const { searchTcgplayer } = require('./TCGPlayerHandler')
 
 /**
@@ -27,6 +32,10 @@ const userSearchCounter = new Cache({ defaultTtl: 60 * 1000 })
 // The contents are cleared automatically at certain time intervals.
 let searchCache = {}
 
+// Collectors listening for component interactions on query replies, keyed by the ID of the reply.
+// A reply can be edited to show an entirely new query (e.g., when the original message is edited), in which case the old collector has to stop.
+const replyCollectors = new Map()
+
 // This defines the default path searches take through the multiple databases and APIs available to the bot.
 /**
  * @type {Array<searchStep>}
@@ -44,7 +53,20 @@ const processSteps = [
 		'searchFunction': searchYgoresourcesDb,
 		'dataHandler': convertYgoresourcesDataToSearchData,
 		'useForOfficial': false,
-		'evaluatesTypes': new Set(['i', 'r', 'a', 'd', 'f', 'q', '$'])
+		'evaluatesTypes': new Set(['i', 'r', 'a', 'd', 'f', 'q', '$', 'b'])
+	},
+	// QA card index searches (rulings involving several cards, e.g., r[card a + card b]) use the 'x' type, which is only ever assigned by the bot itself.
+	{
+		'searchFunction': searchQaCardIndex,
+		'dataHandler': convertQaCardIndexDataToSearchData,
+		'useForOfficial': false,
+		'evaluatesTypes': new Set(['x'])
+	},
+	{
+		'searchFunction': searchEffectTextIndex,
+		'dataHandler': convertEffectTextDataToSearchData,
+		'useForOfficial': false,
+		'evaluatesTypes': new Set(['t'])
 	},
 	// And another TCGPlayer search step because otherwise card price searches before a card's data is cached result in empty data.
 	// Going TCGPlayer -> YGOResources -> TCGPlayer allows the search logic to first find set price searches, then card data, then price data for that card.
@@ -58,7 +80,7 @@ const processSteps = [
 		'searchFunction': searchYugipedia,
 		'dataHandler': convertYugipediaDataToSearchData,
 		'useForOfficial': false,
-		'evaluatesTypes': new Set(['i', 'r', 'a', 'd', 'p'])
+		'evaluatesTypes': new Set(['i', 'r', 'a', 'd', 'p', 'b'])
 	}
 ]
 
@@ -71,6 +93,9 @@ const processSteps = [
 async function processQuery(qry) {
 	// Before we try any of the steps, go through the cache to resolve anything we can.
 	for (const s of qry.searches) {
+		// Effect text and QA card index searches are never cached, and shouldn't pick up cached card data that happens to share their term.
+		// Similarly, server aliases can mean something different from what the term would resolve to anywhere else.
+		if (s.hasType('t') || s.hasType('x') || isGuildAlias(qry, s.term)) continue
 		const cachedData = searchCache[s.term]
 		// We've seen this before, grab it from the cache.
 		if (cachedData) {
@@ -113,6 +138,7 @@ async function processQuery(qry) {
 		// Double check the cache again, since performing this search step might have resulted in us
 		// finding something that was actually in our cache but we didn't know due to this being a new search term.
 		for (const s of searchesToEval) {
+			if (s.hasType('t') || s.hasType('x')) continue
 			const cachedData = searchCache[s.term]
 			// Yep, we've seen this before and this is just a new way to refer to it we didn't know about yet.
 			if (cachedData) {
@@ -135,14 +161,17 @@ async function processQuery(qry) {
 				logger.info(`Search step ${stepSearch.name} finished resolving original search(es) [${[...s.originals].join(', ')}] to ${s.data}.`)
 
 				// Don't cache Q&A searches, they already go into the YGOResources database which is effectively a Q&A-specific cache.
-				if (!s.hasType('q')) {
+				// Same goes for effect text and QA card index searches, which are just lookups in the YGOResources database.
+				if (!s.hasType('q') && !s.hasType('t') && !s.hasType('x')) {
 					const cacheData = {
 						data: s.data,
 						lastAccess: Date.now()
 					}
 	
 					for (const ot of s.originals)
-						if (!(ot in searchCache))
+						// Server aliases only mean this data in that server, so they can't be cached for everyone.
+						// Ambiguous terms aren't cached either, otherwise nobody would get asked what they meant by them again.
+						if (!(ot in searchCache) && !isGuildAlias(qry, ot) && !s.candidates)
 							searchCache[ot] = cacheData
 					if (!(s.term in searchCache))
 						searchCache[s.term] = cacheData
@@ -152,6 +181,26 @@ async function processQuery(qry) {
 	}
 }
 
+/**
+ * Evicts a single search term from the search cache, e.g. when a nickname changes what the term should resolve to.
+ * @param {String | Number} term The search term to evict.
+ */
+function evictSearchTerm(term) {
+	delete searchCache[term]
+}
+
+/**
+ * Checks whether a search term is a card alias defined by the server the query was sent in.
+ * @param {Query} qry The query the search term came from.
+ * @param {String | Number} term The search term to check.
+ * @returns {Boolean} Whether the term is a server alias.
+ */
+function isGuildAlias(qry, term) {
+	if (!qry.bot || !qry.channel) return false
+
+	return qry.bot.getGuildAlias(qry.channel.guild, term) !== undefined
+}
+
 /**
  * Resets the search cache, deleting all previously cached data.
  * It basically just declares a new, empty object. It's a deceptively simple function,
@@ -261,6 +310,480 @@ async function queryRespond(bot, origMessage, replyContent, qry, replyOptions) {
 	return reply
 }
 
+/**
+ * @typedef {Object} QueryReplyState
+ * @property {String} report A report of any data that couldn't be resolved, used as the content of the reply.
+ * @property {Array<{embeds: Array<EmbedBuilder>, files: Array<String>, ruling: Object, faq: Object}>} pages The embeds and attachments to display on each page of the reply, 
+ * along with the first ruling on each page (if any) that has more pages or card lists to show, and the first FAQ embed on each page (if any) with more than one effect to pick from.
+ * @property {Number} page The (zero-indexed) page currently being displayed.
+ * @property {Array<Search>} summarized The searches summarized in a single embed because the query is in compact mode.
+ * @property {Search} expanded The summarized search (if any) currently expanded into its full embed.
+ * @property {String} locale The locale (if any) the user switched the reply to display in.
+ * @property {Map<Ruling, Object>} rulingViews The page of each ruling the user has paged through, and whether its card lists are shown.
+ * @property {Array<Object>} mentionedCards The ID, name, and locale of every card mentioned in the reply's rulings and FAQs.
+ */
+
+/**
+ * Builds a reply to a processed query out of the query's data embeds and attachments, split into pages that fit in a single message.
+ * The given reply options are filled out to display the first page.
+ * @param {Query} qry The processed query.
+ * @param replyOptions The options of the reply. Any existing options are kept, other than the ones this sets.
+ * @param {Search} expanded In compact mode, the summarized search to expand into its full embed (if any).
+ * @param {String} locale The locale to display the query's data in, if not the ones its searches were made with.
+ * @param {Map<Ruling, Object>} rulingViews The page of each ruling to display, and whether its card lists are shown.
+ * @returns {Promise<QueryReplyState>} The state of the reply, to be used for displaying its other pages.
+ */
+async function buildQueryReply(qry, replyOptions, expanded = undefined, locale = undefined, rulingViews = new Map()) {
+	// In compact mode, cards that are only being looked up for their info are all summarized in one embed, as long as there's more than one of them.
+	// The expand menu can only have 25 options, so any cards past that many get their full embeds instead.
+	let summarized = qry.outputStyle === 'compact' ? qry.searches.filter(s => isSummarizable(s)).slice(0, 25) : []
+	if (summarized.length < 2)
+		summarized = []
+	if (!summarized.includes(expanded))
+		expanded = undefined
+
+	const embeds = []
+	const attachments = []
+	const mentionedCards = []
+	if (summarized.length) {
+		embeds.push(generateSummaryEmbed(qry, summarized, locale))
+		if (expanded) {
+			const expandedData = await qry.getDataEmbeds([expanded], locale)
+			embeds.push(...(expandedData.embeds ?? []))
+			attachments.push(...(expandedData.attachments ?? []))
+		}
+	}
+	const embedData = await qry.getDataEmbeds(qry.searches.filter(s => !summarized.includes(s)), locale, rulingViews)
+	embeds.push(...(embedData.embeds ?? []))
+	attachments.push(...(embedData.attachments ?? []))
+	const pagedRulings = embedData.pagedRulings ?? []
+	const faqSearches = embedData.faqSearches ?? []
+	// Only list each mentioned card once.
+	for (const c of embedData.mentionedCards ?? [])
+		if (!mentionedCards.some(m => m.id === c.id))
+			mentionedCards.push(c)
+
+	// Fit as many embeds on each page as Discord allows, both in number and in total length.
+	const pages = []
+	let currPage = undefined
+	let currPageLength = 0
+	for (const e of embeds) {
+		const eLength = embedLength(e.data)
+		if (!currPage || currPage.embeds.length >= 5 || currPageLength + eLength > 6000) {
+			currPage = { embeds: [], files: [], ruling: undefined, faq: undefined }
+			currPageLength = 0
+			pages.push(currPage)
+		}
+		currPage.embeds.push(e)
+		currPageLength += eLength
+		// Only one ruling per page can have its own page buttons, there isn't room for more.
+		if (!currPage.ruling)
+			currPage.ruling = pagedRulings.find(r => r.embed === e)
+		if (!currPage.faq)
+			currPage.faq = faqSearches.find(f => f.embed === e)
+		// Bring along any attachment the embed uses for its image.
+		for (const img of [e.data.image, e.data.thumbnail]) {
+			if (!img || !img.url.startsWith('attachment://')) continue
+			const attach = attachments.find(a => path.basename(a) === img.url.slice('attachment://'.length))
+			if (attach && !currPage.files.includes(attach))
+				currPage.files.push(attach)
+		}
+	}
+
+	const replyState = {
+		report: Query.generateSearchResolutionReport(qry.searches),
+		pages: pages,
+		page: 0,
+		summarized: summarized,
+		expanded: expanded,
+		locale: locale,
+		rulingViews: rulingViews,
+		mentionedCards: mentionedCards
+	}
+	setQueryReplyPage(qry, replyState, replyOptions, 0)
+
+	return replyState
+}
+
+/**
+ * Fills out the options of a query reply to display the given page of it.
+ * @param {Query} qry The query the reply is for.
+ * @param {QueryReplyState} replyState The state of the reply.
+ * @param replyOptions The options of the reply.
+ * @param {Number} page The (zero-indexed) page to display.
+ */
+function setQueryReplyPage(qry, replyState, replyOptions, page) {
+	replyState.page = Math.min(Math.max(page, 0), Math.max(replyState.pages.length - 1, 0))
+
+	const currPage = replyState.pages[replyState.page]
+	replyOptions.embeds = currPage ? currPage.embeds : []
+	replyOptions.files = currPage ? currPage.files : []
+	replyOptions.components = generateQueryReplyRows(qry, replyState)
+}
+
+/**
+ * Checks whether a search can be summarized in compact mode, i.e., it's a card that's only being looked up for its info.
+ * @param {Search} search The search to check.
+ * @returns {Boolean} Whether the search can be summarized.
+ */
+function isSummarizable(search) {
+	if (!(search.data instanceof Card)) return false
+
+	for (const types of search.localeToTypesMap.values())
+		for (const t of types)
+			if (t !== 'i' && t !== 'r' && t !== 'p') return false
+
+	return true
+}
+
+/**
+ * Generates the compact mode embed that summarizes many cards, one line each.
+ * @param {Query} qry The query the cards are from.
+ * @param {Array<Search>} searches The searches of the cards to summarize.
+ * @param {String} locale The locale to summarize the cards in, if not the ones their searches were made with.
+ * @returns {EmbedBuilder} The summary embed.
+ */
+function generateSummaryEmbed(qry, searches, locale = undefined) {
+	const summaryEmbed = new EmbedBuilder()
+	summaryEmbed.setTitle(`${searches.length} Cards`)
+	summaryEmbed.setColor(0x2C2F33)
+
+	let summary = ''
+	for (let i = 0; i < searches.length; i++) {
+		const s = searches[i]
+		// Summarize in whichever locale the search asked for first.
+		const line = `${s.data.generateSummaryLine(qry.getDisplayedLocaleMap(s, locale).keys().next().value, qry.official)}\n`
+		// Don't go over the max description length.
+		if (summary.length + line.length > 4000) {
+			summary += `...and ${searches.length - i} more.`
+			break
+		}
+		summary += line
+	}
+	summaryEmbed.setDescription(summary)
+	summaryEmbed.setFooter({ text: 'Select a card below to see its full information.' })
+
+	return summaryEmbed
+}
+
+/**
+ * Generates all the component rows of a query reply: the "did you mean" menu, the compact mode expand menu, the locale menu, the ruling page buttons, 
+ * the FAQ effect menu, the mentioned card menu, and the page buttons, as applicable.
+ * @param {Query} qry The query the reply is for.
+ * @param {QueryReplyState} replyState The state of the reply.
+ * @param {Boolean} disable Whether to disable all the components.
+ * @returns {Array<ActionRowBuilder>} The rows of components, which might be empty if the reply doesn't need any.
+ */
+function generateQueryReplyRows(qry, replyState, disable = false) {
+	const rows = []
+	
+	const candidateRow = generateCandidateRow(qry, disable)
+	if (candidateRow)
+		rows.push(candidateRow)
+	if (replyState.summarized.length) {
+		const expandOptions = replyState.summarized.map(s => {
+			const locale = qry.getDisplayedLocaleMap(s, replyState.locale).keys().next().value
+			return { label: s.data.name.get(locale) ?? s.data.name.get('en'), value: qry.searches.indexOf(s), default: s === replyState.expanded }
+		})
+		rows.push(generateSelectRow('compact_expand_select', 'Expand a card...', expandOptions, disable))
+	}
+	const localeRow = generateLocaleRow(qry, replyState, disable)
+	if (localeRow)
+		rows.push(localeRow)
+	const currPage = replyState.pages[replyState.page]
+	const rulingRow = generateRulingRow(currPage ? currPage.ruling : undefined, replyState.rulingViews, disable)
+	if (rulingRow)
+		rows.push(rulingRow)
+	// A message can only have 5 rows. Picking FAQ effects and looking up mentioned cards are the least important, so leave them out if there's no room.
+	const maxRows = replyState.pages.length > 1 ? 4 : 5
+	const faqRow = generateFaqRow(qry, currPage ? currPage.faq : undefined, disable)
+	if (faqRow && rows.length < maxRows)
+		rows.push(faqRow)
+	const mentionedCardRow = generateMentionedCardRow(replyState.mentionedCards, disable)
+	if (mentionedCardRow && rows.length < maxRows)
+		rows.push(mentionedCardRow)
+	if (replyState.pages.length > 1)
+		rows.push(generatePageButtons(replyState.page, replyState.pages.length, disable))
+
+	return rows
+}
+
+/**
+ * Generates a select menu of the candidate cards for any searches in the query that didn't have a confident match,
+ * so the user can pick which card they actually meant.
+ * @param {Query} qry The query to generate candidates for.
+ * @param {Boolean} disable Whether to disable the select menu.
+ * @returns {ActionRowBuilder} The row containing the select menu, or undefined if no searches had candidates.
+ */
+function generateCandidateRow(qry, disable = false) {
+	const options = []
+	qry.searches.forEach((s, idx) => {
+		if (!s.candidates) return
+
+		const original = [...s.originals].find(o => typeof o === 'string') ?? s.term
+		for (const c of s.candidates)
+			options.push({ label: c.name, value: `${idx}|${c.id}`, description: `ID ${c.id}, for "${original}"` })
+	})
+	if (!options.length) return undefined
+
+	return generateSelectRow('candidate_select', 'Did you mean...?', options, disable)
+}
+
+/**
+ * Generates a select menu of the locales the info, FAQ, and ruling data of a query can be displayed in, 
+ * so the user can switch the reply between them without having to query again.
+ * @param {Query} qry The query to generate locales for.
+ * @param {QueryReplyState} replyState The state of the reply.
+ * @param {Boolean} disable Whether to disable the select menu.
+ * @returns {ActionRowBuilder} The row containing the select menu, or undefined if there's nothing to switch between.
+ */
+function generateLocaleRow(qry, replyState, disable = false) {
+	const availableLocales = new Set()
+	for (const s of qry.searches) {
+		if (!s.data || typeof s.data.getAvailableLocales !== 'function') continue
+
+		const types = [...s.localeToTypesMap.values()].flatMap(t => [...t])
+		if (types.some(t => ['i', 'r', 'p', 'f', 'q', 'x'].includes(t)))
+			s.data.getAvailableLocales().forEach(l => availableLocales.add(l))
+	}
+	// Keep the locales in a consistent order, and only the ones we actually support.
+	const options = Object.keys(Locales).filter(l => availableLocales.has(l))
+		.map(l => ({ label: Locales[l], value: l, emoji: LocaleEmojis[l], default: l === replyState.locale }))
+	if (options.length < 2) return undefined
+
+	return generateSelectRow('locale_select', 'Switch language...', options, disable)
+}
+
+/**
+ * Generates the buttons for paging through the question and answer of a long ruling,
+ * along with a button to show or hide the lists of other cards its answer applies to, if it has any.
+ * @param {Object} pagedRuling The ruling, as reported by the embed data it was displayed in.
+ * @param {Map<Ruling, Object>} rulingViews The page of each ruling being displayed, and whether its card lists are shown.
+ * @param {Boolean} disable Whether to disable all the buttons.
+ * @returns {ActionRowBuilder} The row containing the buttons, or undefined if there's no ruling.
+ */
+function generateRulingRow(pagedRuling, rulingViews, disable = false) {
+	if (!pagedRuling) return undefined
+
+	const rulingRow = pagedRuling.numPages > 1 ? generatePageButtons(pagedRuling.page, pagedRuling.numPages, disable, 'ruling', 'Part') : new ActionRowBuilder()
+	if (pagedRuling.hasCardLists) {
+		const view = rulingViews.get(pagedRuling.ruling)
+		rulingRow.addComponents(
+			new ButtonBuilder()
+				.setCustomId('ruling_lists_button')
+				.setLabel(view && view.showCardLists ? 'Hide card lists' : 'Show card lists')
+				.setStyle('Secondary')
+				.setDisabled(disable)
+		)
+	}
+
+	return rulingRow
+}
+
+/**
+ * Updates which page of a ruling is being viewed (or whether its card lists are shown) in response to one of its buttons being pressed.
+ * @param {Object} pagedRuling The ruling, as reported by the embed data it was displayed in.
+ * @param {Map<Ruling, Object>} rulingViews The page of each ruling being displayed, and whether its card lists are shown.
+ * @param {String} customId The custom ID of the button that was pressed.
+ */
+function updateRulingView(pagedRuling, rulingViews, customId) {
+	const view = rulingViews.get(pagedRuling.ruling) ?? { page: 0, showCardLists: false }
+	if (/^ruling_lists/.test(customId)) {
+		// The card lists change how the ruling is split into pages, so start back at the beginning.
+		view.showCardLists = !view.showCardLists
+		view.page = 0
+	}
+	else
+		view.page = pagedRuling.page + (/^ruling_prev/.test(customId) ? -1 : 1)
+	rulingViews.set(pagedRuling.ruling, view)
+}
+
+/**
+ * Generates a select menu of the effects a card has FAQ entries for, so the user can show only the entries for one of them.
+ * @param {Query} qry The query the reply is for.
+ * @param {Object} faqSearch The FAQ search, as reported by the embed data it was displayed in.
+ * @param {Boolean} disable Whether to disable the select menu.
+ * @returns {ActionRowBuilder} The row containing the select menu, or undefined if there's no FAQ to pick effects from.
+ */
+function generateFaqRow(qry, faqSearch, disable = false) {
+	if (!faqSearch) return undefined
+
+	const searchIdx = qry.searches.indexOf(faqSearch.search)
+	const options = [{ label: 'All effects', value: `${searchIdx}|all`, default: !faqSearch.effects.some(fe => fe.selected) }]
+	for (const fe of faqSearch.effects)
+		options.push({ label: `Effect ${fe.name}`, value: `${searchIdx}|${fe.index}`, description: fe.label, default: fe.selected })
+
+	return generateSelectRow('faq_effect_select', 'Show FAQs for...', options, disable)
+}
+
+/**
+ * Generates a select menu of the cards mentioned in rulings and FAQs, so the user can look any of them up.
+ * @param {Array<Object>} mentionedCards The ID, name, and locale of each mentioned card.
+ * @param {Boolean} disable Whether to disable the select menu.
+ * @returns {ActionRowBuilder} The row containing the select menu, or undefined if no cards were mentioned.
+ */
+function generateMentionedCardRow(mentionedCards, disable = false) {
+	if (!mentionedCards || !mentionedCards.length) return undefined
+
+	const options = mentionedCards.map(c => { return { label: c.name, value: `${c.id}|${c.locale}` } })
+	return generateSelectRow('card_jump_select', 'Look up a mentioned card...', options, disable)
+}
+
+/**
+ * Replies to a selection from the mentioned card menu of a query reply with the chosen card's information.
+ * The user that sent the query gets it posted in the channel, anyone else only gets to see it themselves.
+ * @param {StringSelectMenuInteraction} interaction The interaction with the menu.
+ * @param {Query} qry The query the reply is showing.
+ * @param {Boolean} ephemeral Whether only the user that chose the card should see it.
+ */
+async function replyWithMentionedCard(interaction, qry, ephemeral) {
+	await interaction.deferReply({ ephemeral: ephemeral })
+
+	const [id, locale] = interaction.values[0].split('|')
+	// Keep all the settings of the original query, just look up this card instead.
+	const cardQry = new Query(qry)
+	cardQry.searches = [new Search(parseInt(id, 10), 'i', locale)]
+	await processQuery(cardQry)
+
+	const embedData = await cardQry.getDataEmbeds()
+	if (!embedData.embeds) {
+		await interaction.editReply({ content: 'Could not find any information for that card.' })
+		return
+	}
+	await interaction.editReply({ embeds: embedData.embeds, files: embedData.attachments ?? [] })
+}
+
+/**
+ * Listens for interactions with the components of a query reply. Only the user that sent the query can use them.
+ * The page buttons flip through the pages of the reply, the compact mode expand menu shows the full embed of the chosen card,
+ * the locale menu re-displays the reply in the chosen locale, the ruling buttons page through a long ruling or show its card lists, the FAQ effect menu shows only the FAQs for the chosen effect, 
+ * the mentioned card menu looks up the chosen card, and choosing a card from the "did you mean" menu re-runs its search for that card and edits the reply in place.
+ * @param {Message} reply The reply to listen on.
+ * @param {Query} qry The query the reply is showing.
+ * @param {String} userId The ID of the user that sent the query.
+ * @param {QueryReplyState} replyState The state of the reply.
+ * @param replyOptions The options the reply was sent with.
+ */
+function listenForQueryComponents(reply, qry, userId, replyState, replyOptions) {
+	// Whatever was listening on this reply before is for a query it no longer shows.
+	const oldCollector = replyCollectors.get(reply.id)
+	if (oldCollector) {
+		replyCollectors.delete(reply.id)
+		oldCollector.stop('replaced')
+	}
+	if (!replyOptions.components || !replyOptions.components.length) return
+
+	const collector = reply.createMessageComponentCollector({ time: COMPONENT_TIMEOUT })
+	replyCollectors.set(reply.id, collector)
+
+	collector.on('collect', async i => {
+		// Looking up a mentioned card doesn't change the reply, so anyone can do it.
+		if (/^card_jump_select/.test(i.customId)) {
+			await replyWithMentionedCard(i, qry, i.user.id !== userId)
+			collector.resetTimer()
+			return
+		}
+		if (i.user.id !== userId) {
+			await i.reply({ content: 'Only the user that originally sent the query can interact with these options.', ephemeral: true })
+			return
+		}
+
+		if (/^page_(prev|next)_button/.test(i.customId)) {
+			setQueryReplyPage(qry, replyState, replyOptions, replyState.page + (/^page_prev/.test(i.customId) ? -1 : 1))
+			await i.update(replyOptions)
+		}
+		else if (/^compact_expand_select/.test(i.customId)) {
+			await i.deferUpdate()
+
+			replyState = await buildQueryReply(qry, replyOptions, qry.searches[i.values[0]], replyState.locale, replyState.rulingViews)
+			await i.editReply({ ...replyOptions, content: replyState.report })
+		}
+		else if (/^locale_select/.test(i.customId)) {
+			await i.deferUpdate()
+
+			// All the data is already on hand in every locale, this only needs to re-render it.
+			replyState = await buildQueryReply(qry, replyOptions, replyState.expanded, i.values[0], replyState.rulingViews)
+			await i.editReply({ ...replyOptions, content: replyState.report })
+		}
+		else if (/^ruling_(prev|next|lists)_button/.test(i.customId)) {
+			await i.deferUpdate()
+
+			const pagedRuling = replyState.pages[replyState.page].ruling
+			updateRulingView(pagedRuling, replyState.rulingViews, i.customId)
+
+			replyState = await buildQueryReply(qry, replyOptions, replyState.expanded, replyState.locale, replyState.rulingViews)
+			// Stay on whichever page of the reply the ruling ended up on.
+			const rulingPage = replyState.pages.findIndex(p => p.ruling && p.ruling.ruling === pagedRuling.ruling)
+			if (rulingPage > 0)
+				setQueryReplyPage(qry, replyState, replyOptions, rulingPage)
+			await i.editReply({ ...replyOptions, content: replyState.report })
+		}
+		else if (/^faq_effect_select/.test(i.customId)) {
+			await i.deferUpdate()
+
+			const [searchIdx, index] = i.values[0].split('|')
+			const faqSearch = qry.searches[searchIdx]
+			faqSearch.faqIndices = index === 'all' ? new Set() : new Set([index])
+			faqSearch.allFaqs = index === 'all'
+
+			replyState = await buildQueryReply(qry, replyOptions, replyState.expanded, replyState.locale, replyState.rulingViews)
+			// Stay on whichever page of the reply the FAQ ended up on.
+			const faqPage = replyState.pages.findIndex(p => p.faq && p.faq.search === faqSearch)
+			if (faqPage > 0)
+				setQueryReplyPage(qry, replyState, replyOptions, faqPage)
+			await i.editReply({ ...replyOptions, content: replyState.report })
+		}
+		else if (/^candidate_select/.test(i.customId)) {
+			await i.deferUpdate()
+
+			const [searchIdx, id] = i.values[0].split('|')
+			const ambiguousSearch = qry.searches[searchIdx]
+			// Swap the ambiguous search out for one of the chosen card, looking for all the same types and locales.
+			const chosenSearch = new Search(parseInt(id, 10))
+			ambiguousSearch.localeToTypesMap.forEach((types, locale) => {
+				for (const t of types)
+					chosenSearch.addTypeToLocale(t, locale)
+			})
+			chosenSearch.faqIndices = ambiguousSearch.faqIndices
+			chosenSearch.allFaqs = ambiguousSearch.allFaqs
+			qry.searches.splice(searchIdx, 1, chosenSearch)
+			await processQuery(qry)
+
+			replyState = await buildQueryReply(qry, replyOptions, undefined, replyState.locale)
+			await i.editReply({ ...replyOptions, content: replyState.report })
+		}
+		collector.resetTimer()
+	})
+
+	collector.on('end', async (collected, reason) => {
+		if (reason === 'replaced') return
+		replyCollectors.delete(reply.id)
+
+		try { await reply.edit({ components: generateQueryReplyRows(qry, replyState, true) }) }
+		catch (err) {
+			// The reply was probably deleted. Nothing to disable.
+		}
+	})
+}
+
+/**
+ * Replies to a processed query with all of its data, and listens for interactions with any components the reply has.
+ * @param {MillenniumEyeBot} bot The bot.
+ * @param {Message | CommandInteraction} origMessage The message that prompted this reply (or the reply to edit).
+ * @param {Query} qry The processed query.
+ * @param {String} userId The ID of the user that sent the query.
+ * @param replyOptions Any options to use when sending the message, on top of the query data.
+ * @returns {Promise<Message>} The reply.
+ */
+async function sendQueryReply(bot, origMessage, qry, userId, replyOptions = {}) {
+	const replyState = await buildQueryReply(qry, replyOptions)
+	const reply = await queryRespond(bot, origMessage, replyState.report, qry, replyOptions)
+	if (reply)
+		listenForQueryComponents(reply, qry, userId, replyState, replyOptions)
+
+	return reply
+}
+
 /**
  * This is simply a helper function to move through the cache and check its contents.
  * Primarily this is used as a means of making sure it's caching data properly (i.e., no repeats),
@@ -302,5 +825,5 @@ function cacheCheck() {
 }
 
 module.exports = {
-	processQuery, queryRespond, clearSearchCache, updateUserTimeout
+	processQuery, queryRespond, buildQueryReply, generateRulingRow, updateRulingView, generateMentionedCardRow, replyWithMentionedCard, listenForQueryComponents, sendQueryReply, clearSearchCache, evictSearchTerm, updateUserTimeout
 }
\ No newline at end of file
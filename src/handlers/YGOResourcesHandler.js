@@ -5,8 +5,11 @@ const { logError, logger } = require('lib/utils/logging')
 const { CardDataFilter } = require('lib/utils/filter')
 const Search = require('lib/models/Search')
 const Query = require('lib/models/Query')
-const { Locales, YGORESOURCES_NAME_ID_INDEX, YGORESOURCES_TYPES_METADATA, YGORESOURCES_PROPERTY_METADATA, YGORESOURCES_DB_PATH, YGORESOURCES_MANIFEST, YGORESOURCES_QA_DATA_API, API_TIMEOUT, YGORESOURCES_CARD_DATA_API, YGORESOURCES_ARTWORK_API, ARTWORK_REPO_MANIFEST_PATH } = require('lib/models/Defines')
+const { Locales, PASSCODE_REGEX, PRINT_CODE_REGEX, RESULTS_PER_PAGE, MAX_MATCH_CANDIDATES, MAX_RULING_RESULTS, CANDIDATE_SCORE_MARGIN, YGORESOURCES_NAME_ID_INDEX, YGORESOURCES_TYPES_METADATA, YGORESOURCES_PROPERTY_METADATA, YGORESOURCES_DB_PATH, YGORESOURCES_MANIFEST, YGORESOURCES_QA_DATA_API, API_TIMEOUT, YGORESOURCES_CARD_DATA_API, YGORESOURCES_ARTWORK_API, ARTWORK_REPO_MANIFEST_PATH } = require('lib/models/Defines')
 const Card = require('lib/models/Card')
+const Ruling = require('lib/models/Ruling')
+const ConfigCache = require('lib/models/ConfigCache')
+const { searchTcgplayerPrintCode, searchPasscodeIndex } = require('./BotDBHandler')
 
 /**
  * @typedef YgoresourcesResponseCache
@@ -20,12 +23,23 @@ const Card = require('lib/models/Card')
 */
 
 const _ygoresourcesDb = new Database(YGORESOURCES_DB_PATH)
+// The effect text index isn't part of the YGOResources data, it's built by the bot from the card data it caches.
+_ygoresourcesDb.exec('CREATE VIRTUAL TABLE IF NOT EXISTS effectTextIndex USING fts5(cardId UNINDEXED, locale UNINDEXED, name, effect, pendEffect)')
+// Same goes for the index of which cards each QA is tagged with.
+_ygoresourcesDb.exec('CREATE TABLE IF NOT EXISTS qaCardIndex(qaId INTEGER NOT NULL, cardId INTEGER NOT NULL, PRIMARY KEY(qaId, cardId))')
+_ygoresourcesDb.exec('CREATE INDEX IF NOT EXISTS qaCardIndexCardId ON qaCardIndex(cardId)')
+// And the full-text index of QA text.
+_ygoresourcesDb.exec('CREATE VIRTUAL TABLE IF NOT EXISTS qaTextIndex USING fts5(qaId UNINDEXED, locale UNINDEXED, title, question, answer)')
+// Old versions of each card's text and stats, kept whenever a manifest revision changes them.
+_ygoresourcesDb.exec('CREATE TABLE IF NOT EXISTS cardHistory(cardId INTEGER NOT NULL, locale TEXT NOT NULL, revision INTEGER NOT NULL, timestamp TEXT NOT NULL, jsonData TEXT NOT NULL)')
+_ygoresourcesDb.exec('CREATE INDEX IF NOT EXISTS cardHistoryCardId ON cardHistory(cardId, locale)')
 /** @type {YgoresourcesResponseCache} */
 const _apiResponseCache = {
 	lastManifestRevision: undefined,
 	cardData: {},
 	qaData: {},
 	nameToIdIndex: {},
+	printCodeIndex: {},
 	typesArray: [],
 	propertyMap: {},
 	artworkManifest: null
@@ -36,6 +50,12 @@ const _apiResponseCache = {
 const _typesToLocaleIndex = {}
 const _propertyToLocaleIndex = {}
 
+// Bot-wide dictionary of community nicknames (e.g., "ash") for cards. Keys are a locale, then the nickname, which maps to a database ID.
+const _nicknames = new ConfigCache('nicknames', true)
+
+// The parts of a card's API data that are kept in its history. Anything else (prints, FAQs, etc.) changes too often to be worth tracking.
+const _cardHistoryFields = ['name', 'effectText', 'pendulumEffectText', 'cardType', 'property', 'attribute', 'level', 'rank', 'linkArrows', 'atk', 'def', 'pendulumScale', 'properties']
+
 
 async function _loadApiResponseCache() {
 	// Load current manifest revision.
@@ -51,11 +71,41 @@ async function _loadApiResponseCache() {
 	const cardData = _ygoresourcesDb.prepare('SELECT * FROM cardData').all()
 	for (r of cardData) {
 		_apiResponseCache.cardData[r.id] = JSON.parse(r.jsonResponse)
+		_indexCardPrintCodes(_apiResponseCache.cardData[r.id])
+	}
+	// Build the effect text index from scratch if it's empty (e.g., the first time the bot runs with it).
+	if (cardData.length && !_ygoresourcesDb.prepare('SELECT COUNT(*) AS numRows FROM effectTextIndex').get().numRows) {
+		const indexAllCards = _ygoresourcesDb.transaction(apiResponses => {
+			for (const apiData of apiResponses) {
+				const card = new Card()
+				populateCardFromYgoresourcesApi(apiData, card)
+				_indexCardEffectText(card)
+			}
+		})
+		indexAllCards(Object.values(_apiResponseCache.cardData))
+		logger.info(`Built effect text index for ${cardData.length} cards.`)
 	}
 	const qaData = _ygoresourcesDb.prepare('SELECT * FROM qaData').all()
 	for (r of qaData) {
 		_apiResponseCache.qaData[r.id] = JSON.parse(r.jsonResponse)
 	}
+	// Build the QA card index from scratch if it's empty, same as the effect text index.
+	if (qaData.length && !_ygoresourcesDb.prepare('SELECT COUNT(*) AS numRows FROM qaCardIndex').get().numRows) {
+		const indexAllQas = _ygoresourcesDb.transaction(qaIds => {
+			for (const qid of qaIds)
+				_indexQaCards(qid, _apiResponseCache.qaData[qid])
+		})
+		indexAllQas(qaData.map(r => r.id))
+		logger.info(`Built QA card index for ${qaData.length} QAs.`)
+	}
+	if (qaData.length && !_ygoresourcesDb.prepare('SELECT COUNT(*) AS numRows FROM qaTextIndex').get().numRows) {
+		const indexAllQaText = _ygoresourcesDb.transaction(qaIds => {
+			for (const qid of qaIds)
+				_indexQaText(qid, _apiResponseCache.qaData[qid])
+		})
+		indexAllQaText(qaData.map(r => r.id))
+		logger.info(`Built QA text index for ${qaData.length} QAs.`)
+	}
 	const idxData = _ygoresourcesDb.prepare('SELECT * FROM nameToIdIndex').all()
 	if (idxData.length) {
 		for (r of idxData) {
@@ -289,7 +339,11 @@ async function _cacheArtworkManifest() {
 	}
 }
 
-async function checkForDataManifestUpdate() {
+/**
+ * Checks the YGOResources DB manifest for any data that changed since the last revision we saw, and evicts and re-caches all of it.
+ * @param {Function} qaChangeCallback Called with every notable change to a QA (see _getQaChanges) once the changed QAs are re-cached, if there were any.
+ */
+async function checkForDataManifestUpdate(qaChangeCallback = undefined) {
 	// If the API response cache hasn't been initialized yet,
 	// load it from the SQLite database.
 	if (!('lastManifestRevision' in _apiResponseCache) || _apiResponseCache.lastManifestRevision === undefined) {
@@ -325,9 +379,13 @@ async function checkForDataManifestUpdate() {
 
 			const deleteCardData = _ygoresourcesDb.prepare('DELETE FROM cardData WHERE id = ?')
 			const deleteQaData = _ygoresourcesDb.prepare('DELETE FROM qaData WHERE id = ?')
+			const deleteQaCards = _ygoresourcesDb.prepare('DELETE FROM qaCardIndex WHERE qaId = ?')
+			const deleteQaText = _ygoresourcesDb.prepare('DELETE FROM qaTextIndex WHERE qaId = ?')
 			const deleteIdxData = _ygoresourcesDb.prepare('DELETE FROM nameToIdIndex WHERE locale = ?')
 
 			for (const cid in manifest.card) {
+				// Hang on to what the card used to be so any changes to it can be kept in its history.
+				const oldCardData = await Promise.resolve(_apiResponseCache.cardData[cid])
 				// Evict cached data first.
 				delete _apiResponseCache.cardData[cid]
 				deleteCardData.run(cid)
@@ -336,21 +394,34 @@ async function checkForDataManifestUpdate() {
 					.then(async r => {
 						const jsonResponse = await r.json()
 						_ygoresourcesDb.prepare('INSERT OR REPLACE INTO cardData(id, jsonResponse) VALUES(?, ?)').run(cid, JSON.stringify(jsonResponse))
+						_recordCardHistory(cid, oldCardData, jsonResponse, currManifestRevision)
+						const card = new Card()
+						populateCardFromYgoresourcesApi(jsonResponse, card)
+						_indexCardEffectText(card)
+						_indexCardPrintCodes(jsonResponse)
 						return jsonResponse
 					})
 					.catch(async err => {
 						await logError(err.message, `Encountered error when querying YGOResources DB for card ID ${cid}.`)
 					})
 			}
+			// Hang on to what the changed QAs used to be so we can tell what changed about them.
+			const oldQaData = {}
+			for (const qid in manifest.qa)
+				oldQaData[qid] = await Promise.resolve(_apiResponseCache.qaData[qid])
 			for (const qid in manifest.qa) {
 				// Evict cached data first.
 				delete _apiResponseCache.qaData[qid]
 				deleteQaData.run(qid)
+				deleteQaCards.run(qid)
+				deleteQaText.run(qid)
 
 				_apiResponseCache.qaData[qid] = fetch(`${YGORESOURCES_QA_DATA_API}/${qid}`, { signal: AbortSignal.timeout(API_TIMEOUT) })
 					.then(async r => { 
 						const jsonResponse = await r.json()
 						_ygoresourcesDb.prepare('INSERT OR REPLACE INTO qaData(id, jsonResponse) VALUES(?, ?)').run(qid, JSON.stringify(jsonResponse))
+						_indexQaCards(qid, jsonResponse)
+						_indexQaText(qid, jsonResponse)
 						return jsonResponse
 					})
 					.catch(async err => {
@@ -393,10 +464,192 @@ async function checkForDataManifestUpdate() {
 				const evictIdx = updatedLocales.length
 				logger.info(`- Index data: ${evictIdx} locale(s) evicted (${updatedLocales.join(', ')})`)
 			}
+
+			if (qaChangeCallback && 'qa' in manifest) {
+				const qaChanges = await _getQaChanges(oldQaData)
+				logger.info(`- QA changes: ${qaChanges.filter(c => c.isNew).length} new, ${qaChanges.filter(c => !c.isNew).length} updated`)
+				if (qaChanges.length) {
+					try {
+						await qaChangeCallback(qaChanges)
+					}
+					catch (err) {
+						await logError(err, 'Failed to report QA changes from new manifest.')
+					}
+				}
+			}
 		}
 	}
 }
 
+/**
+ * Compares QAs that changed in a manifest revision to what they used to be, to find out what was actually changed about them:
+ * whether they're entirely new, which locales they were newly translated into (or had an outdated translation brought up to date), and which locales' answers changed.
+ * Changes that don't affect any of those (e.g., only the title was fixed) aren't reported.
+ * @param {Object} oldQaData The API responses for the QAs from before they changed, keyed by QA ID. QAs that weren't cached have no response.
+ * @returns {Promise<Array<{ruling: Ruling, oldRuling: Ruling, isNew: Boolean, translatedLocales: Array<String>, changedLocales: Array<String>}>>} 
+ * The notable changes, along with the QA from before and after them.
+ */
+async function _getQaChanges(oldQaData) {
+	const qaChanges = []
+	for (const qid in oldQaData) {
+		const apiData = await Promise.resolve(_apiResponseCache.qaData[qid])
+		if (!apiData || !apiData.qaData) continue
+
+		const ruling = new Ruling()
+		populateRulingFromYgoresourcesApi(apiData, ruling)
+		if (!oldQaData[qid]) {
+			// Not having the QA cached doesn't make it new, since QAs are only cached once somebody looks them up.
+			// Go by the API data instead: brand new QAs only exist in Japanese. Anything else we have nothing to compare against, so skip it.
+			if (Object.keys(apiData.qaData).every(locale => locale === 'ja'))
+				qaChanges.push({ ruling: ruling, oldRuling: undefined, isNew: true, translatedLocales: [], changedLocales: [] })
+			continue
+		}
+
+		const oldRuling = new Ruling()
+		populateRulingFromYgoresourcesApi(oldQaData[qid], oldRuling)
+		const translatedLocales = []
+		const changedLocales = []
+		for (const [locale, answer] of ruling.answer) {
+			if (ruling.isOutdated(locale)) continue
+
+			if (locale !== 'ja' && (!oldRuling.answer.has(locale) || oldRuling.isOutdated(locale)))
+				translatedLocales.push(locale)
+			// Only the answer itself matters, not the lists of other cards it applies to.
+			else if (oldRuling.answer.has(locale) && oldRuling.answer.get(locale).split('~~~')[0].trim() !== answer.split('~~~')[0].trim())
+				changedLocales.push(locale)
+		}
+		if (translatedLocales.length || changedLocales.length)
+			qaChanges.push({ ruling: ruling, oldRuling: oldRuling, isNew: false, translatedLocales: translatedLocales, changedLocales: changedLocales })
+	}
+
+	return qaChanges
+}
+
+/**
+ * Strips a locale's card data from the API down to only the parts of it that are kept in the card's history.
+ * @param {Object} localeCardData The card data from the API for a single locale.
+ * @returns {Object} Only the tracked fields of the card data.
+ */
+function _getCardHistoryData(localeCardData) {
+	const historyData = {}
+	for (const f of _cardHistoryFields)
+		if (f in localeCardData)
+			historyData[f] = localeCardData[f]
+
+	return historyData
+}
+
+/**
+ * Saves off the old version of a card's data in any locale whose name, text, or stats were changed by a manifest revision.
+ * @param {Number} cardId The database ID of the card.
+ * @param {Object} oldApiData The API response for the card from before the revision, if we had one.
+ * @param {Object} newApiData The API response for the card from after the revision.
+ * @param {Number} revision The manifest revision that changed the card.
+ */
+function _recordCardHistory(cardId, oldApiData, newApiData, revision) {
+	if (!oldApiData || !oldApiData.cardData || !newApiData || !newApiData.cardData) return
+
+	const insertVersion = _ygoresourcesDb.prepare('INSERT INTO cardHistory(cardId, locale, revision, timestamp, jsonData) VALUES(?, ?, ?, ?, ?)')
+	const timestamp = new Date().toISOString()
+	for (const locale in oldApiData.cardData) {
+		// Locales the card was newly translated into have no old version to keep.
+		if (!(locale in newApiData.cardData)) continue
+
+		const oldVersion = JSON.stringify(_getCardHistoryData(oldApiData.cardData[locale]))
+		if (oldVersion !== JSON.stringify(_getCardHistoryData(newApiData.cardData[locale])))
+			insertVersion.run(cardId, locale, revision, timestamp, oldVersion)
+	}
+}
+
+/**
+ * Returns every recorded change to a card's name, text, or stats in a locale.
+ * @param {Number} cardId The database ID of the card.
+ * @param {String} locale The locale to get the changes in.
+ * @returns {Promise<Array<{revision: Number, timestamp: String, before: Object, after: Object}>>} 
+ * The changes from oldest to newest, each with the manifest revision that made it, when it was found, and the card data from before and after it.
+ */
+async function getCardHistory(cardId, locale) {
+	if (_apiResponseCache.lastManifestRevision === undefined)
+		await _loadApiResponseCache()
+
+	const versions = _ygoresourcesDb.prepare('SELECT revision, timestamp, jsonData FROM cardHistory WHERE cardId = ? AND locale = ? ORDER BY timestamp, rowid').all(cardId, locale)
+	if (!versions.length) return []
+
+	// Each version lasted until the next one. The last one lasted until the card as it is now.
+	const apiData = await Promise.resolve(_apiResponseCache.cardData[cardId])
+	const currentData = apiData && apiData.cardData && apiData.cardData[locale]
+	const changes = []
+	versions.forEach((v, i) => {
+		const after = i < versions.length - 1 ? JSON.parse(versions[i + 1].jsonData) : (currentData ? _getCardHistoryData(currentData) : undefined)
+		if (after)
+			changes.push({ revision: v.revision, timestamp: v.timestamp, before: JSON.parse(v.jsonData), after: after })
+	})
+
+	return changes
+}
+
+/**
+ * Adds (or replaces) a card's name and effect text in every locale to the effect text index.
+ * @param {Card} card The card to index.
+ */
+function _indexCardEffectText(card) {
+	if (!card.dbId) return
+
+	_ygoresourcesDb.prepare('DELETE FROM effectTextIndex WHERE cardId = ?').run(card.dbId)
+	const insertText = _ygoresourcesDb.prepare('INSERT INTO effectTextIndex(cardId, locale, name, effect, pendEffect) VALUES(?, ?, ?, ?, ?)')
+	for (const [locale, name] of card.name)
+		insertText.run(card.dbId, locale, name, card.effect.get(locale) ?? '', card.pendEffect.get(locale) ?? '')
+}
+
+/**
+ * Maps every print code of a card to its database ID so print code searches can find it.
+ * @param apiData The response from a card data API query on the YGOResources DB.
+ */
+function _indexCardPrintCodes(apiData) {
+	if (!apiData || !apiData.cardData) return
+
+	for (const locale in apiData.cardData) {
+		const prints = apiData.cardData[locale].prints
+		if (!prints) continue
+		for (const p of prints)
+			_apiResponseCache.printCodeIndex[p.code.toLowerCase()] = apiData.cardId
+	}
+}
+
+/**
+ * Maps a QA to every card it's tagged with so QA card index searches can find it.
+ * @param {Number} qaId The ID of the QA.
+ * @param apiData The response from a QA data API query on the YGOResources DB.
+ */
+function _indexQaCards(qaId, apiData) {
+	_ygoresourcesDb.prepare('DELETE FROM qaCardIndex WHERE qaId = ?').run(qaId)
+	if (!apiData || !apiData.cards) return
+
+	const insertCard = _ygoresourcesDb.prepare('INSERT OR IGNORE INTO qaCardIndex(qaId, cardId) VALUES(?, ?)')
+	for (const cid of apiData.cards) {
+		const cardId = Number(cid)
+		if (Number.isInteger(cardId))
+			insertCard.run(qaId, cardId)
+	}
+}
+
+/**
+ * Adds (or replaces) a QA's title, question, and answer in every locale to the QA text index.
+ * @param {Number} qaId The ID of the QA.
+ * @param apiData The response from a QA data API query on the YGOResources DB.
+ */
+function _indexQaText(qaId, apiData) {
+	_ygoresourcesDb.prepare('DELETE FROM qaTextIndex WHERE qaId = ?').run(qaId)
+	if (!apiData || !apiData.qaData) return
+
+	const ruling = new Ruling()
+	populateRulingFromYgoresourcesApi(apiData, ruling)
+	const insertText = _ygoresourcesDb.prepare('INSERT INTO qaTextIndex(qaId, locale, title, question, answer) VALUES(?, ?, ?, ?, ?)')
+	for (const [locale, title] of ruling.title)
+		// Leave out the lists of other cards the answer could apply to, same as when displaying the ruling.
+		insertText.run(qaId, locale, title, ruling.question.get(locale) ?? '', (ruling.answer.get(locale) ?? '').split('~~~')[0])
+}
+
 /**
  * Search the YGOResources database to resolve card data.
  * This will both look in our local database for QA or FAQ data,
@@ -415,20 +668,47 @@ async function searchYgoresourcesDb(searches, qry, dataHandlerCallback) {
 	for (const currSearch of searches) {
 		let isQaSearch = currSearch.hasType('q')
 		if (!isQaSearch) {
+			// Passcodes are numbers too, but not database IDs. Swap them out for the database ID they map to, if we know it.
+			if (currSearch.passcode !== undefined && currSearch.term === currSearch.passcode) {
+				const passcodeId = searchPasscodeIndex(currSearch.passcode)
+				// If we don't know this passcode, leave it for Yugipedia.
+				if (passcodeId === undefined) continue
+				currSearch.term = passcodeId
+			}
 			// Non-QA often come in as card names.
 			// If the search term isn't a number, assume it's a name and convert it to an ID.
 			if (!(Number.isInteger(currSearch.term))) {
-				const localesToSearch = ['en']
-				for (const locale of currSearch.localeToTypesMap.keys())
-					if (!localesToSearch.includes(locale)) localesToSearch.push(locale)
-				
-				const matches = await searchNameToIdIndex(currSearch.term, localesToSearch)
-				if (matches.size) {
-					const bestMatchId = matches.keys().next().value
-					const matchScore = matches.get(bestMatchId)
-					if (matchScore >= 0.5) {
-						// Update the search term if we have an ID match to use.
-						currSearch.term = parseInt(bestMatchId, 10)
+				// Aliases defined by the server take priority over anything a fuzzy match would come up with.
+				const aliasId = qry.bot ? qry.bot.getGuildAlias(qry.channel.guild, currSearch.term) : undefined
+				if (aliasId !== undefined) {
+					currSearch.term = aliasId
+				}
+				// Print codes need an exact match, a fuzzy match against card names would only give nonsense.
+				else if (currSearch.printCode) {
+					const printCodeId = await findPrintCode(currSearch.printCode)
+					if (printCodeId !== undefined)
+						currSearch.term = printCodeId
+				}
+				else {
+					const localesToSearch = ['en']
+					for (const locale of currSearch.localeToTypesMap.keys())
+						if (!localesToSearch.includes(locale)) localesToSearch.push(locale)
+					
+					const nicknameId = findNickname(currSearch.term, localesToSearch)
+					if (nicknameId !== undefined)
+						currSearch.term = nicknameId
+					else {
+						const candidates = await findNameMatchCandidates(currSearch.term, localesToSearch)
+						if (candidates.length) {
+							const bestMatch = candidates[0]
+							if (bestMatch.score >= 0.5) {
+								// Update the search term if we have an ID match to use.
+								currSearch.term = bestMatch.id
+							}
+							// If the best match wasn't good enough, or the next best was too close to call, hang on to the top matches so the user can pick the one they meant.
+							if (bestMatch.score < 0.5 || (candidates.length > 1 && bestMatch.score - candidates[1].score < CANDIDATE_SCORE_MARGIN))
+								currSearch.candidates = candidates
+						}
 					}
 				}
 			}
@@ -515,6 +795,234 @@ async function searchYgoresourcesDb(searches, qry, dataHandlerCallback) {
 	await dataHandlerCallback(qry, qaSearches, cardSearches)
 }
 
+/**
+ * Search the QA card index to resolve searches for the QAs that involve several cards together.
+ * The search terms are the cards to look for, separated by "+" (e.g., "card a + card b").
+ * @param {Array<Search>} searches The array of searches to evaluate.
+ * @param {Query} qry The query that contains all these searches.
+ * @param {Function} dataHandlerCallback The callback for handling the data produced by this search.
+ */
+async function searchQaCardIndex(searches, qry, dataHandlerCallback) {
+	// Make sure the cache is loaded even if we haven't checked for a manifest update yet.
+	if (_apiResponseCache.lastManifestRevision === undefined)
+		await _loadApiResponseCache()
+
+	const interactionSearches = []
+
+	for (const currSearch of searches) {
+		const localesToSearch = ['en']
+		for (const locale of currSearch.localeToTypesMap.keys())
+			if (!localesToSearch.includes(locale)) localesToSearch.push(locale)
+
+		// Every card has to resolve, otherwise the QAs we find won't be the ones the user was asking about.
+		const cardTerms = String(currSearch.term).split('+').map(t => t.trim()).filter(t => t)
+		const cardIds = []
+		for (const t of cardTerms) {
+			const id = await findCardId(t, qry, localesToSearch)
+			if (id === undefined) break
+			// Giving the same card twice (e.g., by its nickname and its name) is almost certainly a mistake, so let the user know rather than quietly finding nothing.
+			const sameIdx = cardIds.indexOf(id)
+			if (sameIdx !== -1) {
+				currSearch.error = `**${cardTerms[sameIdx]}** and **${t}** are the same card. Give different cards to find the Q&As between them.`
+				break
+			}
+			cardIds.push(id)
+		}
+		if (currSearch.error || !cardIds.length || cardIds.length < cardTerms.length) continue
+
+		const qaIds = findQasTaggingCards(cardIds)
+		if (!qaIds.length) continue
+
+		// The QAs themselves aren't loaded until they're displayed, since there can be far more of them than fit in one reply.
+		currSearch.rawData = {
+			cardIds: cardIds,
+			qaIds: qaIds
+		}
+		interactionSearches.push(currSearch)
+	}
+
+	await dataHandlerCallback(qry, interactionSearches)
+}
+
+/**
+ * Finds every QA that is tagged with all of the given cards.
+ * @param {Array<Number>} cardIds The database IDs of the cards.
+ * @returns {Array<Number>} The IDs of the matching QAs, newest first.
+ */
+function findQasTaggingCards(cardIds) {
+	if (!cardIds.length) return []
+
+	const matches = _ygoresourcesDb.prepare(`
+		SELECT qaId FROM qaCardIndex 
+		WHERE cardId IN (${cardIds.map(() => '?').join(', ')}) 
+		GROUP BY qaId HAVING COUNT(DISTINCT cardId) = ? 
+		ORDER BY qaId DESC
+	`).all(...cardIds, cardIds.length)
+
+	return matches.map(m => m.qaId)
+}
+
+/**
+ * Finds every QA we know of that is tagged with the given card.
+ * This combines the QA card index (built from cached QAs) with the QA IDs listed in the card's own API data, which can include QAs we haven't cached yet.
+ * @param {Number} cardId The database ID of the card.
+ * @returns {Promise<Array<Number>>} The IDs of the QAs, newest first.
+ */
+async function findQasForCard(cardId) {
+	// Make sure the cache is loaded even if we haven't checked for a manifest update yet.
+	if (_apiResponseCache.lastManifestRevision === undefined)
+		await _loadApiResponseCache()
+
+	const qaIds = new Set(findQasTaggingCards([cardId]))
+	const cardData = await Promise.resolve(_apiResponseCache.cardData[cardId])
+	if (cardData && cardData.qaIds)
+		for (const qid of cardData.qaIds)
+			qaIds.add(Number(qid))
+
+	return [...qaIds].filter(qid => Number.isInteger(qid)).sort((a, b) => b - a)
+}
+
+/**
+ * Gets the API data of the given QAs, using good cached data if we have it and querying the API for the rest.
+ * Anything newly queried is added to the local database.
+ * @param {Array<Number>} qaIds The IDs of the QAs.
+ * @returns {Promise<Array<Object>>} The API data of every QA that could be found, in the same order as the given IDs.
+ */
+async function getQaApiData(qaIds) {
+	const qaResponses = await Promise.all(qaIds.map(async qid => {
+		const cacheData = await Promise.resolve(_apiResponseCache.qaData[qid])
+		if (cacheData) return cacheData
+
+		try {
+			const resp = await fetch(`${YGORESOURCES_QA_DATA_API}/${qid}`, { signal: AbortSignal.timeout(API_TIMEOUT) })
+			const jsonResponse = await resp.json()
+			_ygoresourcesDb.prepare('INSERT OR REPLACE INTO qaData(id, jsonResponse) VALUES(?, ?)').run(qid, JSON.stringify(jsonResponse))
+			_apiResponseCache.qaData[qid] = jsonResponse
+			_indexQaCards(qid, jsonResponse)
+			_indexQaText(qid, jsonResponse)
+			return jsonResponse
+		}
+		catch (err) {
+			await logError(err.message, `YGOResources API query for QA ID ${qid} failed.`)
+		}
+	}))
+
+	return qaResponses.filter(r => r)
+}
+
+/**
+ * Picks random QAs, optionally only out of those tagged with the given card and/or tag.
+ * Tags are only known for QAs we have cached, so filtering by tag only ever picks cached QAs.
+ * @param {Number} count The max number of QAs to pick.
+ * @param {Number} cardId The database ID of the card the QAs must be tagged with, if any.
+ * @param {String} tag The tag the QAs must have, if any. Case-insensitive.
+ * @returns {Promise<Array<Number>>} The IDs of the picked QAs, in random order.
+ */
+async function getRandomQaIds(count, cardId = undefined, tag = undefined) {
+	if (_apiResponseCache.lastManifestRevision === undefined)
+		await _loadApiResponseCache()
+
+	let qaIds = cardId !== undefined ? await findQasForCard(cardId) : Object.keys(_apiResponseCache.qaData).map(qid => Number(qid))
+	if (tag) {
+		tag = tag.toLowerCase()
+		qaIds = qaIds.filter(qid => {
+			const qaData = _apiResponseCache.qaData[qid]
+			return qaData && Array.isArray(qaData.tags) && qaData.tags.some(t => String(t).toLowerCase() === tag)
+		})
+	}
+
+	// Fisher-Yates shuffle only as far as we need.
+	for (let i = 0; i < Math.min(count, qaIds.length); i++) {
+		const j = i + Math.floor(Math.random() * (qaIds.length - i))
+		const swap = qaIds[i]
+		qaIds[i] = qaIds[j]
+		qaIds[j] = swap
+	}
+
+	return qaIds.slice(0, count)
+}
+
+/**
+ * Search the effect text index to resolve effect text searches.
+ * @param {Array<Search>} searches The array of searches to evaluate.
+ * @param {Query} qry The query that contains all these searches.
+ * @param {Function} dataHandlerCallback The callback for handling the data produced by this search.
+ */
+async function searchEffectTextIndex(searches, qry, dataHandlerCallback) {
+	const textSearches = []
+
+	for (const currSearch of searches) {
+		// Effect text searches only ever display one list, so just use the first locale they were searched in.
+		const locale = currSearch.localeToTypesMap.keys().next().value
+		const matches = findEffectTextMatches(String(currSearch.term), locale)
+		if (matches.length) {
+			currSearch.rawData = matches
+			textSearches.push(currSearch)
+		}
+	}
+
+	await dataHandlerCallback(qry, textSearches)
+}
+
+/**
+ * Finds the cards whose effect text best matches the given text.
+ * @param {String} text The text to search for.
+ * @param {String} locale The locale of effect text to search. Falls back to EN if nothing is found in other locales.
+ * @param {Number} limit The max number of matches to return.
+ * @returns {Array<Object>} The card ID, name, and highlighted matching snippet of each match, best matches first.
+ */
+function findEffectTextMatches(text, locale, limit = RESULTS_PER_PAGE) {
+	// Same idea as product searches: quote each token so FTS doesn't treat any symbols in them as syntax.
+	// The last token also gets a * so it matches as a prefix.
+	const ftsTokens = text.replace(/"/g, ' ').split(/\s+/).filter(t => t).map(t => `"${t}"`)
+	if (!ftsTokens.length) return []
+	ftsTokens[ftsTokens.length-1] = `${ftsTokens[ftsTokens.length-1]}*`
+
+	const matchQry = _ygoresourcesDb.prepare(`
+		SELECT cardId, name, snippet(effectTextIndex, -1, '**', '**', '…', 24) AS snippet
+		FROM effectTextIndex 
+		WHERE effectTextIndex MATCH ? AND locale = ? 
+		ORDER BY rank LIMIT ?
+	`)
+	const ftsQuery = `{effect pendEffect} : ${ftsTokens.join(' ')}`
+	let matches = matchQry.all(ftsQuery, locale, limit)
+	if (!matches.length && locale !== 'en')
+		matches = matchQry.all(ftsQuery, 'en', limit)
+
+	return matches.map(m => {
+		return { cardId: m.cardId, name: m.name, snippet: m.snippet.replace(/\s*\n\s*/g, ' ') }
+	})
+}
+
+/**
+ * Finds the QAs whose text best matches the given text.
+ * @param {String} text The text to search for.
+ * @param {String} locale The locale of QA text to search. Falls back to EN if nothing is found in other locales.
+ * @param {Number} limit The max number of matches to return.
+ * @returns {Array<Object>} The QA ID, locale, title, and highlighted matching snippet of each match, best matches first.
+ */
+function findQaTextMatches(text, locale, limit = MAX_RULING_RESULTS) {
+	// Same as effect text searches, quote each token and treat the last as a prefix.
+	const ftsTokens = text.replace(/"/g, ' ').split(/\s+/).filter(t => t).map(t => `"${t}"`)
+	if (!ftsTokens.length) return []
+	ftsTokens[ftsTokens.length-1] = `${ftsTokens[ftsTokens.length-1]}*`
+
+	const matchQry = _ygoresourcesDb.prepare(`
+		SELECT qaId, locale, title, snippet(qaTextIndex, -1, '**', '**', '…', 24) AS snippet
+		FROM qaTextIndex 
+		WHERE qaTextIndex MATCH ? AND locale = ? 
+		ORDER BY rank LIMIT ?
+	`)
+	const ftsQuery = ftsTokens.join(' ')
+	let matches = matchQry.all(ftsQuery, locale, limit)
+	if (!matches.length && locale !== 'en')
+		matches = matchQry.all(ftsQuery, 'en', limit)
+
+	return matches.map(m => {
+		return { qaId: m.qaId, locale: m.locale, title: m.title, snippet: m.snippet.replace(/\s*\n\s*/g, ' ') }
+	})
+}
+
 /**
  * Query the artwork repo to try and resolve card art for the given searches.
  * @param {Array<Search>} artSearches The searches that need card art. 
@@ -641,8 +1149,9 @@ async function getAllNeuronArts(card) {
 function populateRulingFromYgoresourcesApi(apiData, ruling) {
 	const qaData = apiData.qaData
 	for (const locale in qaData) {
-		// Ignore outdated translations.
-		if (qaData[locale].translationStatus === 'outdated') continue
+		// Keep outdated translations, but flag them so they aren't passed off as accurate.
+		if (qaData[locale].translationStatus === 'outdated')
+			ruling.outdatedLocales.add(locale)
 		// For some reason QA IDs are buried in each locale. Just use the first one we come across,
 		// the rest are always the same.
 		if (!ruling.id) ruling.id = qaData[locale].id
@@ -786,6 +1295,8 @@ function addToLocalYgoresourcesDb(qaSearches, cardSearches) {
 			for (const s of searchData) {
 				insertQa.run(s.data.id, JSON.stringify(s.rawData))
 				_apiResponseCache.qaData[s.data.id] = s.rawData
+				_indexQaCards(s.data.id, s.rawData)
+				_indexQaText(s.data.id, s.rawData)
 			}
 		})
 		insertAllQas(qaSearches)
@@ -796,6 +1307,8 @@ function addToLocalYgoresourcesDb(qaSearches, cardSearches) {
 			for (const s of searchData) {
 				insertCard.run(s.data.dbId, JSON.stringify(s.rawData))
 				_apiResponseCache.cardData[s.data.dbId] = s.rawData
+				_indexCardEffectText(s.data)
+				_indexCardPrintCodes(s.rawData)
 			}
 		})
 		insertAllCards(cardSearches)
@@ -820,6 +1333,20 @@ async function searchNameToIdIndex(search, locales, returnMatches = 1, returnNam
 
 	const matches = new Map()
 
+	// Nicknames are always the best possible match, so check for them before doing any fuzzy matching.
+	const nicknameId = findNickname(search, locales)
+	if (nicknameId !== undefined) {
+		if (!returnNames)
+			matches.set(String(nicknameId), 1)
+		else {
+			const nicknameName = await getCachedCardName(nicknameId, locales[0])
+			if (nicknameName)
+				matches.set(`${nicknameName}|${nicknameId}`, 1)
+		}
+		if (matches.size >= returnMatches)
+			return matches
+	}
+
 	for (const l of locales) {
 		if (!(l in _apiResponseCache.nameToIdIndex)) continue
 
@@ -851,6 +1378,240 @@ async function searchNameToIdIndex(search, locales, returnMatches = 1, returnNam
 	return Promise.resolve(matches)
 }
 
+/**
+ * Finds the best name matches for a search term, with their names and IDs split out.
+ * @param {String} search The term to search for.
+ * @param {Array<String>} locales The locales to search the names of.
+ * @returns {Array<{id: Number, name: String, score: Number}>} The best matches, in descending order of score. Each card only appears once.
+ */
+async function findNameMatchCandidates(search, locales) {
+	const matches = await searchNameToIdIndex(search, locales, MAX_MATCH_CANDIDATES, true)
+
+	const candidates = []
+	for (const [m, score] of matches) {
+		// Matches return in the form "Name|ID".
+		const splitIdx = m.lastIndexOf('|')
+		const id = parseInt(m.slice(splitIdx + 1), 10)
+		// The same card can match in multiple locales, only keep its best one.
+		if (candidates.some(c => c.id === id)) continue
+		// Names in the index are all lowercase, so use the properly capitalized one if we have it.
+		const name = await getCachedCardName(id, locales[0]) ?? m.slice(0, splitIdx)
+		candidates.push({ id: id, name: name, score: score })
+	}
+
+	return candidates
+}
+
+/**
+ * Resolves a single card term (database ID, passcode, alias, print code, nickname, or name) to a database ID,
+ * for searches that need an exact card rather than a list of candidates to choose from.
+ * @param {String} term The term to resolve.
+ * @param {Query} qry The query the term is from, for checking server aliases.
+ * @param {Array<String>} locales The locales to search names and nicknames in.
+ * @returns {Promise<Number>} The database ID of the card, or undefined if the term couldn't be resolved confidently.
+ */
+async function findCardId(term, qry, locales) {
+	if (/^\d+$/.test(term)) {
+		const intTerm = parseInt(term, 10)
+		return PASSCODE_REGEX.test(term) ? searchPasscodeIndex(intTerm) : intTerm
+	}
+
+	const aliasId = qry.bot ? qry.bot.getGuildAlias(qry.channel.guild, term) : undefined
+	if (aliasId !== undefined)
+		return aliasId
+	if (PRINT_CODE_REGEX.test(term))
+		return await findPrintCode(term.toUpperCase())
+	const nicknameId = findNickname(term, locales)
+	if (nicknameId !== undefined)
+		return nicknameId
+
+	const candidates = await findNameMatchCandidates(term, locales)
+	if (candidates.length && candidates[0].score >= 0.5)
+		return candidates[0].id
+
+	return undefined
+}
+
+/**
+ * Checks the nickname dictionary for the given nickname.
+ * @param {String} nickname The nickname to look for.
+ * @param {Array<String>} locales The locales to check for the nickname, in order of priority.
+ * @returns {Number} The database ID the nickname refers to, or undefined if it isn't a nickname in any of the locales.
+ */
+function findNickname(nickname, locales) {
+	if (typeof nickname !== 'string') return undefined
+
+	for (const l of locales) {
+		const id = _nicknames.get([l, nickname.toLowerCase()])
+		// Sanity check this is actually an ID and not something like a builtin object property.
+		if (Number.isInteger(id)) return id
+	}
+
+	return undefined
+}
+
+/**
+ * Adds (or replaces) a nickname in the nickname dictionary.
+ * @param {String} nickname The nickname.
+ * @param {String} locale The locale the nickname is used in.
+ * @param {Number} id The database ID of the card the nickname refers to.
+ */
+function setNickname(nickname, locale, id) {
+	_nicknames.put([locale, nickname.toLowerCase()], id)
+}
+
+/**
+ * Removes a nickname from the nickname dictionary.
+ * @param {String} nickname The nickname to remove.
+ * @param {String} locale The locale the nickname is used in.
+ * @returns {Number} The database ID the removed nickname referred to, or undefined if there was no such nickname.
+ */
+function removeNickname(nickname, locale) {
+	return _nicknames.remove([locale, nickname.toLowerCase()])
+}
+
+/**
+ * Returns every nickname in the dictionary for the given locale.
+ * @param {String} locale The locale to get the nicknames of.
+ * @returns {Object} The nicknames mapped to the database IDs they refer to.
+ */
+function getNicknames(locale) {
+	return _nicknames.get([locale]) ?? {}
+}
+
+/**
+ * Reloads the nickname dictionary from disk, for picking up changes made to the file while the bot is running.
+ */
+function reloadNicknames() {
+	_nicknames.load()
+}
+
+/**
+ * Finds the card that was printed with the given print code.
+ * This checks the prints of all cached card data first, then falls back to the print codes of any TCGPlayer products we know about.
+ * @param {String} printCode The print code to look for (e.g., LOB-EN001).
+ * @returns {Number} The database ID of the card with that print code, or undefined if none was found.
+ */
+async function findPrintCode(printCode) {
+	// Make sure the cache is loaded even if we haven't checked for a manifest update yet.
+	if (_apiResponseCache.lastManifestRevision === undefined)
+		await _loadApiResponseCache()
+
+	const cachedId = _apiResponseCache.printCodeIndex[printCode.toLowerCase()]
+	if (Number.isInteger(cachedId))
+		return cachedId
+
+	const productData = searchTcgplayerPrintCode(printCode)
+	if (!productData) return undefined
+	if (productData.dbId !== undefined)
+		return productData.dbId
+	// The product doesn't know its database ID yet, so go off of its name instead.
+	const matches = await searchNameToIdIndex(productData.fullName.split('(')[0].trim(), ['en'])
+	if (matches.size) {
+		const bestMatchId = matches.keys().next().value
+		if (matches.get(bestMatchId) >= 0.5)
+			return parseInt(bestMatchId, 10)
+	}
+
+	return undefined
+}
+
+/**
+ * Filters all cached card data down to the cards that match every given filter.
+ * Filters that are null (or empty, for types) are ignored.
+ * @param {Object} filters The filters to apply (cardType, property, attribute, levelRank, linkRating, types, atkMin, atkMax, defMin, defMax, text).
+ * @param {String} locale The locale to prefer when matching text and returning names. Falls back to EN (then anything) if a card has no data in this locale.
+ * @returns {Promise<Array<Object>>} The ID, name, and locale-specific API data of each matching card, sorted by name.
+ */
+async function filterCachedCardData(filters, locale) {
+	// Make sure the cache is loaded even if we haven't checked for a manifest update yet.
+	if (_apiResponseCache.lastManifestRevision === undefined)
+		await _loadApiResponseCache()
+	await _cacheTypesLocaleMetadata()
+
+	const types = filters.types ? filters.types.map(t => t.toLowerCase()) : []
+	const text = filters.text ? filters.text.toLowerCase() : null
+
+	const matches = []
+	for (const id in _apiResponseCache.cardData) {
+		const apiData = await Promise.resolve(_apiResponseCache.cardData[id])
+		if (!apiData || !apiData.cardData) continue
+		const localeData = apiData.cardData[locale] ?? apiData.cardData['en'] ?? Object.values(apiData.cardData)[0]
+		if (!localeData) continue
+
+		if (filters.cardType && localeData.cardType !== filters.cardType) continue
+		if (filters.property) {
+			// Normal Spells/Traps don't have a property at all.
+			if (localeData.cardType === 'monster' || (localeData.property ?? 'normal') !== filters.property) continue
+		}
+		if (filters.attribute && localeData.attribute !== filters.attribute) continue
+		if (filters.levelRank !== null && (localeData.level ?? localeData.rank) !== filters.levelRank) continue
+		if (filters.linkRating !== null && (localeData.linkArrows ?? '').length !== filters.linkRating) continue
+		if (filters.atkMin !== null && !(localeData.atk >= filters.atkMin)) continue
+		if (filters.atkMax !== null && !(localeData.atk <= filters.atkMax)) continue
+		if (filters.defMin !== null && !(localeData.def >= filters.defMin)) continue
+		if (filters.defMax !== null && !(localeData.def <= filters.defMax)) continue
+		if (types.length) {
+			const cardTypes = (localeData.properties ?? []).map(p => (searchTypesArray(p, 'en') ?? '').toLowerCase())
+			if (!types.every(t => cardTypes.includes(t))) continue
+		}
+		if (text) {
+			const cardText = `${localeData.effectText ?? ''}\n${localeData.pendulumEffectText ?? ''}`.toLowerCase()
+			if (!cardText.includes(text)) continue
+		}
+
+		matches.push({ id: parseInt(id, 10), name: localeData.name, data: localeData })
+	}
+
+	matches.sort((a, b) => a.name.localeCompare(b.name))
+
+	return matches
+}
+
+/**
+ * Returns a card's name from the cached card data.
+ * @param {Number} id The database ID of the card.
+ * @param {String} locale The locale of the name to return. Falls back to EN (then anything) if the card has no name in this locale.
+ * @returns {Promise<String>} The card's name, or undefined if the card isn't cached.
+ */
+async function getCachedCardName(id, locale) {
+	const apiData = await Promise.resolve(_apiResponseCache.cardData[id])
+	if (!apiData || !apiData.cardData) return undefined
+
+	const localeData = apiData.cardData[locale] ?? apiData.cardData['en'] ?? Object.values(apiData.cardData)[0]
+	return localeData ? localeData.name : undefined
+}
+
+/**
+ * Looks up the names of many cards in a locale's name -> ID index, so they can be shown in that locale even if their card data was never cached.
+ * Names in the index are all lowercase, so the properly capitalized name from the cached card data is used instead for any card that has one in this locale.
+ * @param {Array<Number>} ids The database IDs of the cards.
+ * @param {String} locale The locale of the names to return.
+ * @returns {Promise<Map<Number, String>>} The cards' names keyed by ID. Cards with no name in this locale are left out.
+ */
+async function getLocaleCardNames(ids, locale) {
+	const names = new Map()
+	const unnamedIds = new Set()
+	for (const id of ids) {
+		const apiData = await Promise.resolve(_apiResponseCache.cardData[id])
+		if (apiData && apiData.cardData && apiData.cardData[locale])
+			names.set(Number(id), apiData.cardData[locale].name)
+		else
+			unnamedIds.add(Number(id))
+	}
+	if (!unnamedIds.size) return names
+
+	await _cacheNameToIdIndex([locale])
+	const idx = await Promise.resolve(_apiResponseCache.nameToIdIndex[locale])
+	if (!idx) return names
+	for (const name in idx)
+		for (const id of idx[name].map(Number))
+			if (unnamedIds.has(id) && !names.has(id))
+				names.set(id, name)
+
+	return names
+}
+
 /**
  * Searches the types property metadata to map an English type(s) to its version in another locale.
  * @param {String | Array<String>} type The type(s) in English.
@@ -909,7 +1670,7 @@ function searchPropertyToLocaleIndex(prop, locale) {
 }
 
 module.exports = {
-	checkForDataManifestUpdate, searchYgoresourcesDb, searchArtworkRepo, addToLocalYgoresourcesDb, 
+	checkForDataManifestUpdate, getCardHistory, searchYgoresourcesDb, searchQaCardIndex, findQasForCard, getQaApiData, getRandomQaIds, searchEffectTextIndex, findEffectTextMatches, findQaTextMatches, searchArtworkRepo, addToLocalYgoresourcesDb, 
 	populateCardFromYgoresourcesApi, populateRulingFromYgoresourcesApi,
-	searchNameToIdIndex, searchTypesToLocaleIndex, searchTypesArray, searchPropertyToLocaleIndex, getAllNeuronArts
+	searchNameToIdIndex, findCardId, findNickname, findPrintCode, setNickname, removeNickname, getNicknames, reloadNicknames, filterCachedCardData, getCachedCardName, getLocaleCardNames, searchTypesToLocaleIndex, searchTypesArray, searchPropertyToLocaleIndex, getAllNeuronArts
 }
\ No newline at end of file
@@ -0,0 +1,188 @@
+const { SlashCommandBuilder, CommandInteraction } = require('discord.js')
+
+const { generateError } = require('lib/utils/logging')
+const { generatePageButtons } = require('lib/utils/components')
+const { BanlistCgs, COMPONENT_TIMEOUT } = require('lib/models/Defines')
+const Banlist = require('lib/models/Banlist')
+const { getCurrentBanlist, getBanlistSnapshots, getBanlistSnapshot } = require('handlers/KonamiDBHandler')
+const { getCustomBanlists, getCustomBanlist } = require('handlers/BotDBHandler')
+
+const cgChoices = []
+for (const cg in BanlistCgs) {
+	cgChoices.push({
+		'name': BanlistCgs[cg],
+		'value': cg
+	})
+}
+
+/**
+ * Helper function to reply with the pages of a list, along with buttons to move between them.
+ * @param {CommandInteraction} interaction The interaction to reply to.
+ * @param {Banlist} banlist The list to show.
+ * @param {String} locale The locale to display card names in.
+ */
+async function showListPages(interaction, banlist, locale) {
+	// Defer reply in case looking up every card's name takes a bit.
+	await interaction.deferReply()
+	const listEmbeds = await banlist.generateListEmbeds(locale)
+	let page = 0
+	const msgOptions = {
+		embeds: [listEmbeds[page]],
+		components: listEmbeds.length > 1 ? [generatePageButtons(page, listEmbeds.length)] : []
+	}
+	const resp = await interaction.editReply(msgOptions)
+	if (listEmbeds.length <= 1) return
+
+	const collector = resp.createMessageComponentCollector({ time: COMPONENT_TIMEOUT })
+
+	collector.on('collect', async i => {
+		if (i.user.id !== interaction.user.id) {
+			i.reply({ content: 'Only the user that originally sent the command can interact with these options.', ephemeral: true })
+			return
+		}
+
+		if (/^page_(prev|next)_button/.test(i.customId)) {
+			page += /^page_prev/.test(i.customId) ? -1 : 1
+			page = Math.min(Math.max(page, 0), listEmbeds.length - 1)
+			msgOptions.embeds = [listEmbeds[page]]
+			msgOptions.components = [generatePageButtons(page, listEmbeds.length)]
+
+			await i.update(msgOptions)
+		}
+		collector.resetTimer()
+	})
+
+	collector.on('end', async () => {
+		msgOptions.components = [generatePageButtons(page, listEmbeds.length, true)]
+		try { await interaction.editReply(msgOptions) }
+		catch (err) {
+			// The reply was probably deleted. Nothing to disable.
+		}
+	})
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('banlist')
+		.setDescription('Looks up Forbidden & Limited lists.')
+		.addSubcommand(sc =>
+			sc.setName('view')
+				.setDescription('Shows every card on a current Forbidden & Limited list.')
+				.addStringOption(op =>
+					op.setName('format')
+						.setDescription('Which CG\'s list to show.')
+						.setRequired(true)
+						.setChoices(cgChoices)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('custom')
+				.setDescription('Shows every card on one of this server\'s own Forbidden & Limited lists.')
+				.addStringOption(op =>
+					op.setName('name')
+						.setDescription('Which of this server\'s lists to show.')
+						.setRequired(true)
+						.setAutocomplete(true)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('diff')
+				.setDescription('Shows every card that was hit, unhit, limited, or semi-limited between two lists.')
+				.addStringOption(op =>
+					op.setName('format')
+						.setDescription('Which CG\'s lists to compare.')
+						.setRequired(true)
+						.setChoices(cgChoices)
+				)
+				.addStringOption(op =>
+					op.setName('from')
+						.setDescription('The older list to compare. Defaults to the list before the newer one.')
+						.setAutocomplete(true)
+				)
+				.addStringOption(op =>
+					op.setName('to')
+						.setDescription('The newer list to compare. Defaults to the current list.')
+						.setAutocomplete(true)
+				)
+		),
+	execute: async (interaction, bot) => {
+		const sc = interaction.options.getSubcommand()
+		// Custom lists don't belong to any CG.
+		const cg = interaction.options.getString('format')
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+
+		if (sc === 'view') {
+			const banlist = getCurrentBanlist(cg)
+			if (!banlist.cards.size)
+				throw generateError(null, `There is no ${BanlistCgs[cg]} list data available right now.`)
+
+			await showListPages(interaction, banlist, locale)
+		}
+		else if (sc === 'custom') {
+			if (!interaction.guild)
+				throw generateError(null, 'This command can only be used within a server.')
+
+			const givenName = interaction.options.getString('name', true)
+			const banlist = getCustomBanlist(interaction.guild.id, givenName)
+			if (!banlist)
+				throw generateError(null, `This server has no list named **${givenName}**.`)
+
+			await showListPages(interaction, banlist, locale)
+		}
+		else if (sc === 'diff') {
+			const snapshots = getBanlistSnapshots(cg)
+			// Lists are given by their snapshot ID, anything else is something that wasn't picked from the autocomplete.
+			const findSnapshotIdx = option => {
+				const given = interaction.options.getString(option)
+				if (!given) return undefined
+
+				const idx = snapshots.findIndex(s => `${s.id}` === given || s.effectiveDate === given)
+				if (idx === -1)
+					throw generateError(null, `Could not find a ${BanlistCgs[cg]} list matching **${given}**. Pick one of the lists suggested for the option.`)
+				return idx
+			}
+			// Snapshots are newest first, so the list before any other is the next one along.
+			const toIdx = findSnapshotIdx('to') ?? 0
+			const fromIdx = findSnapshotIdx('from') ?? toIdx + 1
+			if (fromIdx >= snapshots.length)
+				throw generateError(null, `There is no ${BanlistCgs[cg]} list recorded before the one effective ${snapshots.length ? snapshots[toIdx].effectiveDate : 'now'}, so there is nothing to compare it to.`)
+			if (fromIdx === toIdx)
+				throw generateError(null, 'Please pick two different lists to compare.')
+
+			const fromList = getBanlistSnapshot(snapshots[fromIdx].id)
+			const toList = getBanlistSnapshot(snapshots[toIdx].id)
+			const diffEmbeds = await fromList.generateDiffEmbeds(toList, locale)
+
+			await interaction.reply({ embeds: [diffEmbeds[0]] })
+			for (const e of diffEmbeds.slice(1))
+				await interaction.followUp({ embeds: [e] })
+		}
+	},
+	autocomplete: async (interaction, bot) => {
+		const focus = interaction.options.getFocused(true)
+		if (focus.name === 'name') {
+			const search = focus.value.toLowerCase()
+			const names = interaction.guild ? getCustomBanlists(interaction.guild.id).map(b => b.name) : []
+			// Make sure this doesn't go over 25, which is the max number of options supported by Discord autocomplete.
+			await interaction.respond(names.filter(n => n.toLowerCase().includes(search)).slice(0, 25).map(n => ({ name: n, value: n })))
+			return
+		}
+
+		const cg = interaction.options.getString('format')
+		if (!cg || !(cg in BanlistCgs)) {
+			await interaction.respond([])
+			return
+		}
+
+		const search = focus.value.toLowerCase()
+		const options = []
+		getBanlistSnapshots(cg).forEach((s, i) => {
+			const name = `${BanlistCgs[cg]} list effective ${s.effectiveDate}${i === 0 ? ' (current)' : ''}`
+			if (name.toLowerCase().includes(search))
+				options.push({ name: name, value: `${s.id}` })
+		})
+
+		// Make sure this doesn't go over 25, which is the max number of options supported by Discord autocomplete.
+		await interaction.respond(options.slice(0, 25))
+	}
+}
\ No newline at end of file
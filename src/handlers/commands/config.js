@@ -1,8 +1,13 @@
 const { ActionRowBuilder, ButtonBuilder, StringSelectMenuBuilder, CommandInteraction, TextChannel, PermissionFlagsBits, ChannelSelectMenuBuilder, ChannelType, SlashCommandBuilder } = require('discord.js')
 
 const config = require('config')
+const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
 const { generateError } = require('lib/utils/logging')
-const { Locales, LocaleEmojis } = require('lib/models/Defines')
+const { Locales, LocaleEmojis, OutputStyles, BanlistCgs, BanlistStatus, YGORESOURCES_CARD_LINK, API_TIMEOUT } = require('lib/models/Defines')
+const { processQuery } = require('handlers/QueryHandler')
+const { searchNameToIdIndex, getCachedCardName } = require('handlers/YGOResourcesHandler')
+const { createCustomBanlist, deleteCustomBanlist, getCustomBanlists, getCustomBanlist, setCustomBanlistCards } = require('handlers/BotDBHandler')
 
 const localeChoices = []
 // Allow changing the default syntax.
@@ -18,6 +23,84 @@ for (const code in Locales) {
 	})
 }
 
+const statusChoices = []
+// Unreleased isn't something a custom list can set.
+for (const copies of [0, 1, 2, 3]) {
+	statusChoices.push({
+		'name': BanlistStatus[copies],
+		'value': copies
+	})
+}
+
+/**
+ * Helper function to parse a status given in a custom F/L list file, either as a number of copies or by name (e.g., 'Semi-Limited').
+ * @param {String | Number} status The status to parse.
+ * @returns {Number} The number of copies the status allows, or undefined if it isn't a status.
+ */
+function parseBanlistStatus(status) {
+	const given = `${status}`.trim().toLowerCase()
+	for (const copies of [0, 1, 2, 3])
+		if (given === `${copies}` || given === BanlistStatus[copies].toLowerCase())
+			return copies
+
+	return undefined
+}
+
+/**
+ * Helper function to get the name a card is saved under on a custom F/L list.
+ * @param {Card} card The card.
+ * @returns {String} The card's English name, or its name in another locale if it was never released in English.
+ */
+function getCustomBanlistCardName(card) {
+	return card.name.get('en') ?? card.name.values().next().value
+}
+
+/**
+ * Helper function to parse the contents of an uploaded custom F/L list.
+ * JSON files can either map each card to its status, or be an array of objects with card and status properties.
+ * Any other file is treated as CSV, with one card and its status per line. A first line that doesn't have a status is treated as a header.
+ * @param {String} contents The contents of the file.
+ * @param {String} fileName The name of the file.
+ * @returns {Array<Object>} Each card (by name or database ID) and the number of copies allowed of it.
+ */
+function parseBanlistFile(contents, fileName) {
+	const entries = []
+	if (/\.json$/i.test(fileName)) {
+		try {
+			var listData = JSON.parse(contents)
+		}
+		catch (err) {
+			throw generateError(null, `**${fileName}** isn't valid JSON, no changes were made.`)
+		}
+		const rawEntries = Array.isArray(listData) ? listData.map(e => [e?.card, e?.status]) : Object.entries(listData ?? {})
+		for (const [card, status] of rawEntries) {
+			const copies = parseBanlistStatus(status)
+			if (card === undefined || card === null || copies === undefined)
+				throw generateError(null, `**${fileName}** has an entry that isn't a card and a status (**${card}**: **${status}**), no changes were made.`)
+			entries.push({ card: `${card}`.trim(), copies: copies })
+		}
+	}
+	else {
+		const lines = contents.split(/\r?\n/)
+		lines.forEach((line, i) => {
+			line = line.trim()
+			if (!line || line.startsWith('#')) return
+
+			// Card names can have commas in them, so the status is whatever comes after the last one.
+			const splitIdx = line.lastIndexOf(',')
+			const card = line.slice(0, splitIdx).trim().replace(/^"(.*)"$/, '$1')
+			const copies = splitIdx !== -1 ? parseBanlistStatus(line.slice(splitIdx + 1).replace(/"/g, '')) : undefined
+			if (copies === undefined) {
+				if (i === 0) return
+				throw generateError(null, `Line ${i + 1} of **${fileName}** isn't a card and a status (\`${line}\`), no changes were made.`)
+			}
+			entries.push({ card: card, copies: copies })
+		})
+	}
+
+	return entries
+}
+
 /**
  * Helper function to generate all the message components (buttons/menus) for controlling
  * server-specific configuration in response to the /set server command.
@@ -97,6 +180,8 @@ function generateChannelComponents(interaction, target, useMenu, disable = false
 	const channelOfficial = bot.getCurrentChannelSetting(target, 'official')
 	const channelRulings = bot.getCurrentChannelSetting(target, 'rulings')
 	const channelLocale = bot.getCurrentChannelSetting(target, 'locale')
+	const channelOutputStyle = bot.getCurrentChannelSetting(target, 'outputStyle')
+	const channelOutdated = bot.getCurrentChannelSetting(target, 'outdatedTranslations')
 
 	if (useMenu) {
 		const channelRow = new ActionRowBuilder()
@@ -123,7 +208,8 @@ function generateChannelComponents(interaction, target, useMenu, disable = false
 		messageRows.push(channelRow)
 	}
 	
-	const officialRow = new ActionRowBuilder()
+	// Official and rulings mode share a row, messages can only have 5 rows and the channel panel needs all of them.
+	const modeRow = new ActionRowBuilder()
 		.addComponents(
 			new ButtonBuilder()
 				.setCustomId('official_header')
@@ -134,12 +220,7 @@ function generateChannelComponents(interaction, target, useMenu, disable = false
 				.setCustomId(`channel_official_mode`)
 				.setLabel(channelOfficial ? 'Enabled' : 'Disabled')
 				.setStyle(channelOfficial ? 'Success' : 'Danger')
-				.setDisabled(disable)
-		)
-	messageRows.push(officialRow)
-
-	const rulingsRow = new ActionRowBuilder()
-		.addComponents(
+				.setDisabled(disable),
 			new ButtonBuilder()
 				.setCustomId('rulings_header')
 				.setLabel('Rulings Mode')
@@ -151,7 +232,33 @@ function generateChannelComponents(interaction, target, useMenu, disable = false
 				.setStyle(channelRulings ? 'Success' : 'Danger')
 				.setDisabled(disable)
 		)
-	messageRows.push(rulingsRow)
+	messageRows.push(modeRow)
+
+	const outputRow = new ActionRowBuilder()
+		.addComponents(
+			new ButtonBuilder()
+				.setCustomId('output_header')
+				.setLabel('Output Style')
+				.setStyle('Secondary')
+				.setDisabled(true),
+			new ButtonBuilder()
+				.setCustomId(`channel_output_style`)
+				.setLabel(OutputStyles[channelOutputStyle])
+				.setStyle(channelOutputStyle === 'compact' ? 'Primary' : 'Secondary')
+				.setDisabled(disable),
+			// Outdated Q&A translations also go in this row, there's no room for another.
+			new ButtonBuilder()
+				.setCustomId('outdated_header')
+				.setLabel('Outdated Q&A Translations')
+				.setStyle('Secondary')
+				.setDisabled(true),
+			new ButtonBuilder()
+				.setCustomId(`channel_outdated_translations`)
+				.setLabel(channelOutdated ? 'Shown' : 'Hidden')
+				.setStyle(channelOutdated ? 'Success' : 'Danger')
+				.setDisabled(disable)
+		)
+	messageRows.push(outputRow)
 
 	const localeRow = new ActionRowBuilder()
 	const localeSelect = new StringSelectMenuBuilder()
@@ -244,6 +351,203 @@ module.exports = {
 								.setChoices(localeChoices)
 						)
 				)
+		)
+		.addSubcommandGroup(sg =>
+			sg.setName('alias')
+				.setDescription('Configure server-specific aliases (e.g., community nicknames) for cards.')
+				.addSubcommand(sc =>
+					sc.setName('add')
+						.setDescription('Add an alias that will always resolve to the given card in this server.')
+						.addStringOption(op =>
+							op.setName('alias')
+								.setDescription('The alias, e.g., the \'ash\' in \'[ash]\'.')
+								.setRequired(true)
+						)
+						.addStringOption(op =>
+							op.setName('card')
+								.setDescription('The card the alias refers to, given by name or database ID.')
+								.setRequired(true)
+								.setAutocomplete(true)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('remove')
+						.setDescription('Remove an alias from this server.')
+						.addStringOption(op =>
+							op.setName('alias')
+								.setDescription('The alias to remove.')
+								.setRequired(true)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('list')
+						.setDescription('List all aliases in this server.')
+				)
+		)
+		.addSubcommandGroup(sg =>
+			sg.setName('feed')
+				.setDescription('Configure channels to be sent new and updated Q&As.')
+				.addSubcommand(sc =>
+					sc.setName('subscribe')
+						.setDescription('Post a digest of new and updated Q&As to a channel whenever the database updates.')
+						.addChannelOption(op =>
+							op.setName('channel')
+								.setDescription('The channel to post to. Defaults to this channel.')
+								.addChannelTypes(ChannelType.GuildText)
+						)
+						.addStringOption(op =>
+							op.setName('locales')
+								.setDescription('Only report Q&As in these locales, separated by commas (e.g., \'en, de\'). Defaults to all locales.')
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('unsubscribe')
+						.setDescription('Stop posting new and updated Q&As to a channel.')
+						.addChannelOption(op =>
+							op.setName('channel')
+								.setDescription('The channel to stop posting to. Defaults to this channel.')
+								.addChannelTypes(ChannelType.GuildText)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('watch')
+						.setDescription('Only report Q&As about watched cards in a subscribed channel.')
+						.addStringOption(op =>
+							op.setName('card')
+								.setDescription('The card to watch, given by name or database ID.')
+								.setRequired(true)
+								.setAutocomplete(true)
+						)
+						.addChannelOption(op =>
+							op.setName('channel')
+								.setDescription('The subscribed channel. Defaults to this channel.')
+								.addChannelTypes(ChannelType.GuildText)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('unwatch')
+						.setDescription('Stop watching a card in a subscribed channel. Channels with no watched cards report every Q&A.')
+						.addStringOption(op =>
+							op.setName('card')
+								.setDescription('The card to stop watching, given by name or database ID.')
+								.setRequired(true)
+								.setAutocomplete(true)
+						)
+						.addChannelOption(op =>
+							op.setName('channel')
+								.setDescription('The subscribed channel. Defaults to this channel.')
+								.addChannelTypes(ChannelType.GuildText)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('list')
+						.setDescription('List every channel in this server subscribed to new and updated Q&As.')
+				)
+		)
+		.addSubcommandGroup(sg =>
+			sg.setName('banlist-feed')
+				.setDescription('Configure channels to be sent Forbidden & Limited list changes.')
+				.addSubcommand(sc =>
+					sc.setName('subscribe')
+						.setDescription('Post the changes to a Forbidden & Limited list to a channel as soon as they\'re found.')
+						.addChannelOption(op =>
+							op.setName('channel')
+								.setDescription('The channel to post to. Defaults to this channel.')
+								.addChannelTypes(ChannelType.GuildText)
+						)
+						.addStringOption(op =>
+							op.setName('formats')
+								.setDescription('Only report these lists, separated by commas (e.g., \'tcg, md\'). Defaults to all lists.')
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('unsubscribe')
+						.setDescription('Stop posting Forbidden & Limited list changes to a channel.')
+						.addChannelOption(op =>
+							op.setName('channel')
+								.setDescription('The channel to stop posting to. Defaults to this channel.')
+								.addChannelTypes(ChannelType.GuildText)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('list')
+						.setDescription('List every channel in this server subscribed to Forbidden & Limited list changes.')
+				)
+		)
+		.addSubcommandGroup(sg =>
+			sg.setName('custom-banlist')
+				.setDescription('Configure this server\'s own Forbidden & Limited lists.')
+				.addSubcommand(sc =>
+					sc.setName('create')
+						.setDescription('Create a new, empty Forbidden & Limited list for this server.')
+						.addStringOption(op =>
+							op.setName('name')
+								.setDescription('The name of the list, e.g., \'Edison\'.')
+								.setRequired(true)
+								.setMaxLength(32)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('delete')
+						.setDescription('Delete one of this server\'s lists.')
+						.addStringOption(op =>
+							op.setName('name')
+								.setDescription('The list to delete.')
+								.setRequired(true)
+								.setAutocomplete(true)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('set')
+						.setDescription('Set the status of a card on one of this server\'s lists.')
+						.addStringOption(op =>
+							op.setName('name')
+								.setDescription('The list to change.')
+								.setRequired(true)
+								.setAutocomplete(true)
+						)
+						.addStringOption(op =>
+							op.setName('card')
+								.setDescription('The card to set the status of, given by name or database ID.')
+								.setRequired(true)
+								.setAutocomplete(true)
+						)
+						.addIntegerOption(op =>
+							op.setName('status')
+								.setDescription('The card\'s new status. Unlimited takes it off the list.')
+								.setRequired(true)
+								.setChoices(statusChoices)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('upload')
+						.setDescription('Fill a list from a JSON or CSV file of cards and statuses, replacing everything on it.')
+						.addStringOption(op =>
+							op.setName('name')
+								.setDescription('The list to fill. It will be created if it doesn\'t exist.')
+								.setRequired(true)
+								.setAutocomplete(true)
+								.setMaxLength(32)
+						)
+						.addAttachmentOption(op =>
+							op.setName('file')
+								.setDescription('A JSON object of card: status, or a CSV of card,status lines. Statuses are 0-3 or names.')
+								.setRequired(true)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('footer')
+						.setDescription('Show a card\'s status on one of this server\'s lists next to its TCG/OCG/MD statuses.')
+						.addStringOption(op =>
+							op.setName('name')
+								.setDescription('The list to show. Leave this out to stop showing any list.')
+								.setAutocomplete(true)
+						)
+				)
+				.addSubcommand(sc =>
+					sc.setName('list')
+						.setDescription('List every Forbidden & Limited list in this server.')
+				)
 		),
 	execute: async (interaction, bot) => {
 		const scg = interaction.options.getSubcommandGroup(false)
@@ -295,6 +599,356 @@ module.exports = {
 				}
 			}
 		}
+		else if (scg === 'alias') {
+			if (!interaction.guild)
+				throw generateError(null, 'This command can only be used within a server.')
+
+			const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+
+			if (sc === 'add') {
+				const alias = interaction.options.getString('alias', true).trim().toLowerCase()
+				let card = interaction.options.getString('card', true)
+				// Check for whether this is a database ID, in which case it should be made into an integer.
+				const cid = Number(card)
+				if (!isNaN(cid) && card !== '7')
+					card = cid
+
+				// Defer reply in case resolving the card takes a bit.
+				await interaction.deferReply({ ephemeral: true })
+				// Resolve the card to make sure it actually exists.
+				const qry = new Query([new Search(card, 'i', locale)])
+				qry.locale = locale
+				await processQuery(qry)
+				const cardData = qry.searches[0].data
+				if (!cardData || !cardData.dbId)
+					throw generateError(null, `Could not find a card in the database matching **${card}**, no changes were made.`)
+
+				const prevId = bot.getGuildAlias(interaction.guild, alias)
+				bot.setGuildAlias(interaction.guild, alias, cardData.dbId)
+
+				let resp = `Queries for **${alias}** in this server will now always resolve to **${cardData.name.get(locale) ?? cardData.name.get('en')}**.`
+				if (prevId !== undefined && prevId !== cardData.dbId)
+					resp += ` (This alias previously referred to **${await getCachedCardName(prevId, locale) ?? prevId}**.)`
+				await interaction.editReply({ content: resp })
+			}
+			else if (sc === 'remove') {
+				const alias = interaction.options.getString('alias', true).trim().toLowerCase()
+
+				const removed = bot.removeGuildAlias(interaction.guild, alias)
+				if (removed === undefined)
+					await interaction.reply({ content: `Could not find any existing alias **${alias}** in this server, no changes were made.`, ephemeral: true })
+				else
+					await interaction.reply({ content: `Removed alias **${alias}** (which referred to **${await getCachedCardName(removed, locale) ?? removed}**).`, ephemeral: true })
+			}
+			else if (sc === 'list') {
+				const aliases = Object.entries(bot.getGuildAliases(interaction.guild)).sort(([a], [b]) => a.localeCompare(b))
+				if (!aliases.length) {
+					await interaction.reply({ content: 'This server has no aliases.', ephemeral: true })
+					return
+				}
+
+				let aliasString = '**Current Server Aliases:**\n'
+				for (const [alias, id] of aliases) {
+					const line = `● **${alias}** → [${await getCachedCardName(id, locale) ?? id}](<${YGORESOURCES_CARD_LINK}${id}:${locale}>)\n`
+					// Don't go over the max message length.
+					if (aliasString.length + line.length > 1950) {
+						aliasString += `...and ${aliases.length - aliases.findIndex(([a]) => a === alias)} more.`
+						break
+					}
+					aliasString += line
+				}
+				await interaction.reply({ content: aliasString, ephemeral: true })
+			}
+		}
+		else if (scg === 'feed') {
+			if (!interaction.guild)
+				throw generateError(null, 'This command can only be used within a server.')
+
+			const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+			const channel = interaction.options.getChannel('channel') ?? interaction.channel
+			const feed = bot.getQaFeed(channel)
+
+			if (sc === 'subscribe') {
+				const localesOption = interaction.options.getString('locales')
+				let feedLocales = []
+				if (localesOption) {
+					// Same as in queries, JP is an alias for JA.
+					feedLocales = [...new Set(localesOption.toLowerCase().split(/[\s,]+/).filter(l => l).map(l => l === 'jp' ? 'ja' : l))]
+					const badLocales = feedLocales.filter(l => !(l in Locales))
+					if (badLocales.length)
+						throw generateError(null, `Unrecognized locale(s): **${badLocales.join(', ')}**. Available locales are: ${Object.keys(Locales).join(', ')}. No changes were made.`)
+				}
+				// Keep any cards this channel was already watching.
+				bot.setQaFeed(channel, feedLocales, feed ? feed.cards : [])
+
+				const localeString = feedLocales.length ? feedLocales.map(l => `${LocaleEmojis[l]} ${Locales[l]}`).join(', ') : 'all locales'
+				let resp = `${feed ? 'Updated the subscription of' : 'Subscribed'} <#${channel.id}> to new and updated Q&As in ${localeString}.`
+				if (feed && feed.cards.length)
+					resp += ` It is still only watching ${feed.cards.length} card(s).`
+				await interaction.reply({ content: resp, ephemeral: true })
+			}
+			else if (sc === 'unsubscribe') {
+				const removed = bot.removeQaFeed(channel)
+				if (removed === undefined)
+					await interaction.reply({ content: `<#${channel.id}> isn't subscribed to new and updated Q&As, no changes were made.`, ephemeral: true })
+				else
+					await interaction.reply({ content: `<#${channel.id}> will no longer be sent new and updated Q&As.`, ephemeral: true })
+			}
+			else if (sc === 'watch' || sc === 'unwatch') {
+				if (!feed)
+					throw generateError(null, `<#${channel.id}> isn't subscribed to new and updated Q&As. Use \`/config feed subscribe\` first.`)
+
+				let card = interaction.options.getString('card', true)
+				// Check for whether this is a database ID, in which case it should be made into an integer.
+				const cid = Number(card)
+				if (!isNaN(cid) && card !== '7')
+					card = cid
+
+				// Defer reply in case resolving the card takes a bit.
+				await interaction.deferReply({ ephemeral: true })
+				// Resolve the card to make sure it actually exists.
+				const qry = new Query([new Search(card, 'i', locale)])
+				qry.locale = locale
+				await processQuery(qry)
+				const cardData = qry.searches[0].data
+				if (!cardData || !cardData.dbId)
+					throw generateError(null, `Could not find a card in the database matching **${card}**, no changes were made.`)
+				const cardName = cardData.name.get(locale) ?? cardData.name.get('en')
+
+				let resp = ''
+				if (sc === 'watch') {
+					const watchedCards = feed.cards.includes(cardData.dbId) ? feed.cards : [...feed.cards, cardData.dbId]
+					bot.setQaFeed(channel, feed.locales, watchedCards)
+					resp = `<#${channel.id}> will now only be sent Q&As about its ${watchedCards.length} watched card(s), including **${cardName}**.`
+				}
+				else {
+					if (!feed.cards.includes(cardData.dbId))
+						throw generateError(null, `<#${channel.id}> isn't watching **${cardName}**, no changes were made.`)
+					const remainingCards = feed.cards.filter(c => c !== cardData.dbId)
+					bot.setQaFeed(channel, feed.locales, remainingCards)
+					resp = `<#${channel.id}> is no longer watching **${cardName}**.`
+					resp += remainingCards.length ? ` It is still watching ${remainingCards.length} other card(s).` : ' It is no longer watching any cards, so it will be sent every Q&A.'
+				}
+				await interaction.editReply({ content: resp })
+			}
+			else if (sc === 'list') {
+				const feeds = bot.getQaFeeds(interaction.guild)
+				if (!feeds.length) {
+					await interaction.reply({ content: 'No channels in this server are subscribed to new and updated Q&As.', ephemeral: true })
+					return
+				}
+
+				let feedString = '**Channels Subscribed to New and Updated Q&As:**\n'
+				for (const [fcid, f] of feeds) {
+					const localeString = f.locales.length ? f.locales.map(l => LocaleEmojis[l]).join(' ') : 'all locales'
+					const cardNames = []
+					for (const id of f.cards)
+						cardNames.push(await getCachedCardName(id, locale) ?? id)
+					const line = `● <#${fcid}>: ${localeString}; ${cardNames.length ? `watching ${cardNames.join(', ')}` : 'all cards'}\n`
+					// Don't go over the max message length.
+					if (feedString.length + line.length > 1950) {
+						feedString += `...and ${feeds.length - feeds.findIndex(([c]) => c === fcid)} more.`
+						break
+					}
+					feedString += line
+				}
+				await interaction.reply({ content: feedString, ephemeral: true })
+			}
+		}
+		else if (scg === 'banlist-feed') {
+			if (!interaction.guild)
+				throw generateError(null, 'This command can only be used within a server.')
+
+			const channel = interaction.options.getChannel('channel') ?? interaction.channel
+
+			if (sc === 'subscribe') {
+				const formatsOption = interaction.options.getString('formats')
+				let feedCgs = []
+				if (formatsOption) {
+					feedCgs = [...new Set(formatsOption.toLowerCase().split(/[\s,]+/).filter(f => f))]
+					const badCgs = feedCgs.filter(f => !(f in BanlistCgs))
+					if (badCgs.length)
+						throw generateError(null, `Unrecognized format(s): **${badCgs.join(', ')}**. Available formats are: ${Object.keys(BanlistCgs).join(', ')}. No changes were made.`)
+				}
+				const feed = bot.getBanlistFeed(channel)
+				bot.setBanlistFeed(channel, feedCgs)
+
+				const cgString = feedCgs.length ? feedCgs.map(f => BanlistCgs[f]).join(', ') : 'every format'
+				await interaction.reply({ content: `${feed ? 'Updated the subscription of' : 'Subscribed'} <#${channel.id}> to Forbidden & Limited list changes in ${cgString}.`, ephemeral: true })
+			}
+			else if (sc === 'unsubscribe') {
+				const removed = bot.removeBanlistFeed(channel)
+				if (removed === undefined)
+					await interaction.reply({ content: `<#${channel.id}> isn't subscribed to Forbidden & Limited list changes, no changes were made.`, ephemeral: true })
+				else
+					await interaction.reply({ content: `<#${channel.id}> will no longer be sent Forbidden & Limited list changes.`, ephemeral: true })
+			}
+			else if (sc === 'list') {
+				const feeds = bot.getBanlistFeeds(interaction.guild)
+				if (!feeds.length) {
+					await interaction.reply({ content: 'No channels in this server are subscribed to Forbidden & Limited list changes.', ephemeral: true })
+					return
+				}
+
+				let feedString = '**Channels Subscribed to Forbidden & Limited List Changes:**\n'
+				for (const [fcid, f] of feeds) {
+					const line = `● <#${fcid}>: ${f.cgs.length ? f.cgs.map(c => BanlistCgs[c]).join(', ') : 'every format'}\n`
+					// Don't go over the max message length.
+					if (feedString.length + line.length > 1950) {
+						feedString += `...and ${feeds.length - feeds.findIndex(([c]) => c === fcid)} more.`
+						break
+					}
+					feedString += line
+				}
+				await interaction.reply({ content: feedString, ephemeral: true })
+			}
+		}
+		else if (scg === 'custom-banlist') {
+			if (!interaction.guild)
+				throw generateError(null, 'This command can only be used within a server.')
+
+			const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+			const givenName = interaction.options.getString('name')?.trim()
+			const footerName = bot.getCurrentGuildSetting(interaction.guild, 'footerBanlist')
+
+			if (sc === 'create') {
+				if (!createCustomBanlist(interaction.guild.id, givenName))
+					throw generateError(null, `This server already has a list named **${givenName}**, no changes were made.`)
+
+				await interaction.reply({ content: `Created the list **${givenName}**. Add cards to it with \`/config custom-banlist set\` or \`/config custom-banlist upload\`.`, ephemeral: true })
+			}
+			else if (sc === 'delete') {
+				const banlist = getCustomBanlist(interaction.guild.id, givenName)
+				if (!banlist || !deleteCustomBanlist(interaction.guild.id, banlist.name))
+					throw generateError(null, `This server has no list named **${givenName}**, no changes were made.`)
+				// Don't leave the footer pointing at a list that no longer exists.
+				if (footerName && footerName.toLowerCase() === banlist.name.toLowerCase())
+					bot.setGuildSetting(interaction.guild, 'footerBanlist', undefined)
+
+				await interaction.reply({ content: `Deleted the list **${banlist.name}** (${banlist.cards.size} card(s)).`, ephemeral: true })
+			}
+			else if (sc === 'set') {
+				const banlist = getCustomBanlist(interaction.guild.id, givenName)
+				if (!banlist)
+					throw generateError(null, `This server has no list named **${givenName}**. Use \`/config custom-banlist create\` first.`)
+
+				let card = interaction.options.getString('card', true)
+				const copies = interaction.options.getInteger('status', true)
+				// Check for whether this is a database ID, in which case it should be made into an integer.
+				const cid = Number(card)
+				if (!isNaN(cid) && card !== '7')
+					card = cid
+
+				// Defer reply in case resolving the card takes a bit.
+				await interaction.deferReply({ ephemeral: true })
+				// Resolve the card to make sure it actually exists.
+				const qry = new Query([new Search(card, 'i', locale)])
+				qry.locale = locale
+				await processQuery(qry)
+				const cardData = qry.searches[0].data
+				if (!cardData || !cardData.dbId)
+					throw generateError(null, `Could not find a card in the database matching **${card}**, no changes were made.`)
+				const cardName = cardData.name.get(locale) ?? getCustomBanlistCardName(cardData)
+
+				const oldCopies = banlist.getCopies(cardData.dbId)
+				setCustomBanlistCards(interaction.guild.id, banlist.name, [{ cardId: cardData.dbId, cardName: getCustomBanlistCardName(cardData), copies: copies }])
+
+				await interaction.editReply({ content: `**${cardName}** is now ${BanlistStatus[copies]} on **${banlist.name}** (was ${BanlistStatus[oldCopies]}).` })
+			}
+			else if (sc === 'upload') {
+				const file = interaction.options.getAttachment('file', true)
+				if (file.size > 1024 * 1024)
+					throw generateError(null, `**${file.name}** is too large to be a list, no changes were made.`)
+
+				// Defer reply, resolving every card on the list can take a bit.
+				await interaction.deferReply({ ephemeral: true })
+				try {
+					const resp = await fetch(file.url, { signal: AbortSignal.timeout(API_TIMEOUT) })
+					if (!resp.ok) throw new Error(`Status ${resp.status}`)
+					var contents = await resp.text()
+				}
+				catch (err) {
+					throw generateError(null, `Could not download **${file.name}**, no changes were made. Please try again.`)
+				}
+				const entries = parseBanlistFile(contents, file.name)
+				if (!entries.length)
+					throw generateError(null, `**${file.name}** doesn't have any cards in it, no changes were made.`)
+
+				// Resolve every card on the list at once. Hang on to each entry's search, since the query can merge or drop searches as it resolves them.
+				const searches = entries.map(e => {
+					const cid = Number(e.card)
+					return new Search(!isNaN(cid) && e.card !== '7' ? cid : e.card, 'i', locale)
+				})
+				const qry = new Query([...searches])
+				qry.locale = locale
+				await processQuery(qry)
+
+				const resolved = []
+				const unresolved = []
+				entries.forEach((e, i) => {
+					// A search that turned out to be the same card as another one was merged into it, so its data is there instead.
+					const cardData = searches[i].data ?? qry.findSearch([...searches[i].originals][0])?.data
+					if (cardData && cardData.dbId)
+						resolved.push({ cardId: cardData.dbId, cardName: getCustomBanlistCardName(cardData), copies: e.copies })
+					else
+						unresolved.push(e.card)
+				})
+				if (!resolved.length)
+					throw generateError(null, `Could not find any of the cards in **${file.name}** in the database, no changes were made.`)
+
+				const banlistName = getCustomBanlist(interaction.guild.id, givenName)?.name ?? givenName
+				createCustomBanlist(interaction.guild.id, banlistName)
+				setCustomBanlistCards(interaction.guild.id, banlistName, resolved, true)
+				const banlist = getCustomBanlist(interaction.guild.id, banlistName)
+
+				let uploadString = `Filled **${banlist.name}** from **${file.name}**. It now has ${banlist.cards.size} card(s) on it.`
+				if (unresolved.length) {
+					uploadString += `\nCould not find ${unresolved.length} card(s) in the database, so they were left off: `
+					// Don't go over the max message length.
+					const unresolvedString = unresolved.map(c => `**${c}**`).join(', ')
+					uploadString += unresolvedString.length > 1950 - uploadString.length ? `${unresolvedString.slice(0, 1900 - uploadString.length)}...` : unresolvedString
+				}
+				await interaction.editReply({ content: uploadString })
+			}
+			else if (sc === 'footer') {
+				if (!givenName) {
+					if (!footerName)
+						throw generateError(null, 'This server isn\'t showing any of its lists in card info, no changes were made.')
+					bot.setGuildSetting(interaction.guild, 'footerBanlist', undefined)
+
+					await interaction.reply({ content: `Card info in this server will no longer show statuses on **${footerName}**.`, ephemeral: true })
+					return
+				}
+
+				const banlist = getCustomBanlist(interaction.guild.id, givenName)
+				if (!banlist)
+					throw generateError(null, `This server has no list named **${givenName}**, no changes were made.`)
+				bot.setGuildSetting(interaction.guild, 'footerBanlist', banlist.name)
+
+				await interaction.reply({ content: `Card info in this server will now show each card's status on **${banlist.name}** next to its TCG/OCG/MD statuses. (This isn't shown in official mode.)`, ephemeral: true })
+			}
+			else if (sc === 'list') {
+				const banlists = getCustomBanlists(interaction.guild.id)
+				if (!banlists.length) {
+					await interaction.reply({ content: 'This server has no Forbidden & Limited lists of its own.', ephemeral: true })
+					return
+				}
+
+				let listString = '**Current Server Forbidden & Limited Lists:**\n'
+				for (const b of banlists) {
+					const shown = footerName && footerName.toLowerCase() === b.name.toLowerCase()
+					const line = `● **${b.name}**: ${b.numCards} card(s)${shown ? ' (shown in card info)' : ''}\n`
+					// Don't go over the max message length.
+					if (listString.length + line.length > 1950) {
+						listString += `...and ${banlists.length - banlists.indexOf(b)} more.`
+						break
+					}
+					listString += line
+				}
+				listString += 'View a list with `/banlist custom`.'
+				await interaction.reply({ content: listString, ephemeral: true })
+			}
+		}
 		else if (sc === 'settings') {
 			const msgOptions = {}
 			let configSelection = undefined
@@ -352,6 +1006,14 @@ module.exports = {
 					const currRulings = bot.getCurrentChannelSetting(channelTarget, 'rulings')
 					bot.setChannelSetting(channelTarget, 'rulings', !currRulings)
 				}
+				else if (/^channel_output_style/.test(i.customId)) {
+					const currOutputStyle = bot.getCurrentChannelSetting(channelTarget, 'outputStyle')
+					bot.setChannelSetting(channelTarget, 'outputStyle', currOutputStyle === 'compact' ? 'full' : 'compact')
+				}
+				else if (/^channel_outdated_translations/.test(i.customId)) {
+					const currOutdated = bot.getCurrentChannelSetting(channelTarget, 'outdatedTranslations')
+					bot.setChannelSetting(channelTarget, 'outdatedTranslations', !currOutdated)
+				}
 				else if (/^channel_locale_select/.test(i.customId)) {
 					const newLocale = i.values[0]
 					bot.setChannelSetting(channelTarget, 'locale', newLocale)
@@ -404,5 +1066,32 @@ module.exports = {
 				`Received a non-existent subcommand/option for command ${interaction.commandName}.`,
 				`Received a non-existent subcommand/option for command ${interaction.commandName}.`
 			)
+	},
+	autocomplete: async (interaction, bot) => {
+		const focus = interaction.options.getFocused(true)
+		const search = focus.value.toLowerCase()
+		if (focus.name === 'name') {
+			const names = interaction.guild ? getCustomBanlists(interaction.guild.id).map(b => b.name) : []
+			// Make sure this doesn't go over 25, which is the max number of options supported by Discord autocomplete.
+			await interaction.respond(names.filter(n => n.toLowerCase().includes(search)).slice(0, 25).map(n => ({ name: n, value: n })))
+			return
+		}
+		if (focus.name !== 'card') return
+
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+
+		const matches = await searchNameToIdIndex(search, [locale], 25, true)
+
+		const options = []
+		matches.forEach((score, m) => {
+			// Matches return in the form "Name|ID". We need both, name is what we display while ID is what the choice maps to.
+			const parseMatch = m.split('|')
+			const name = parseMatch[0]
+			const id = parseMatch[1]
+
+			options.push({ name: name, value: id })
+		})
+
+		await interaction.respond(options)
 	}
 }
\ No newline at end of file
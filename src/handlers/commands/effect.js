@@ -0,0 +1,40 @@
+const { SlashCommandBuilder } = require('discord.js')
+
+const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
+const { processQuery, queryRespond } = require('handlers/QueryHandler')
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('effect')
+		.setDescription('Searches card effect text for cards that match the given text.')
+		.addStringOption(op =>
+			op.setName('text')
+				.setDescription('The text to search for, e.g. "banish face-down".')
+				.setRequired(true)
+		),
+	execute: async (interaction, bot) => {
+		const text = interaction.options.getString('text', true)
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+		// Bootstrap a query from this information.
+		const qry = new Query([new Search(text, 't', locale)])
+		qry.official = bot.getCurrentChannelSetting(interaction.channel, 'official')
+		qry.locale = locale
+
+		// Defer reply in case this query takes a bit.
+		await interaction.deferReply()
+		await processQuery(qry)
+		const textSearch = qry.searches[0]
+		if (!textSearch.data) {
+			await queryRespond(bot, interaction, 'Could not find any cards with effect text matching the given search.', qry)
+			return
+		}
+
+		const embedData = await qry.getDataEmbeds()
+		const msgOptions = {}
+		if ('embeds' in embedData)
+			msgOptions.embeds = embedData.embeds
+
+		await queryRespond(bot, interaction, '', qry, msgOptions)
+	}
+}
\ No newline at end of file
@@ -12,7 +12,8 @@ module.exports = {
 				.setRequired(true)
 				.addChoices([
 					{ 'name': 'Syntax', 'value': 'syntax' },
-					{ 'name': 'Commands', 'value': 'commands' }
+					{ 'name': 'Commands', 'value': 'commands' },
+					{ 'name': 'Configuration', 'value': 'config' }
 				])
 		),
 	execute: async (interaction, bot) => {
@@ -43,7 +44,8 @@ module.exports = {
 
 			const genSyntax = `__General Syntax__: \`${queryTypes}${queryString}${queryLocales}\`\n\n`
 			let syntaxHelpString = 'All queries must follow this general syntax. The options in parentheses separated by | are *not required*, and change the behavior or result of the query. They are also mutually exclusive--i.e., you can only use one at a time among each group. ' +
-								`Some example queries might look like: \`${syntax.open}dark magician${syntax.close}\`, \`a${syntax.open}blue-eyes white dragon${syntax.close}\`, \`r${syntax.open}pot of greed${syntax.close}de\`.\n`
+								`Some example queries might look like: \`${syntax.open}dark magician${syntax.close}\`, \`a${syntax.open}blue-eyes white dragon${syntax.close}\`, \`r${syntax.open}pot of greed${syntax.close}de\`.\n` +
+								`A query can also be a card's passcode, e.g. \`${syntax.open}89631139${syntax.close}\`, or a print code, e.g. \`${syntax.open}LOB-EN001${syntax.close}\`, which returns the card printed with that code. \`$\` queries of a print code only show prices for that exact print.\n`
 			embedData.addFields({ name: genSyntax, value: syntaxHelpString, inline: false })
 
 			// Explaining the query type options.
@@ -56,6 +58,12 @@ module.exports = {
 										'● `f`— Returns a card\'s FAQ bullets from the Konami database. Note FAQs are only officially available in Japanese, so versions in other languages are unofficial translations.\n' +
 										'● `q`— Returns the information for a given Q&A entry (given by ID) on the Konami database. Note Q&As are only officially available in Japanese, so versions in other languages are unofficial translations.'
 			embedData.addFields({ name: `Query Types: \`${queryTypes}\``, value: queryTypesHelpString, inline: false })
+			queryTypesHelpString = '● `t`— Searches card effect text for the given text (rather than a card name), and returns a list of the best-matching cards with the matching text highlighted.\n' +
+									'● `b`— Returns a card\'s status over time on the Forbidden/Limited list of every format, e.g. when it was hit or unhit.\n' +
+									`● \`r\` queries of several cards joined with +, e.g. \`r${syntax.open}card a + card b${syntax.close}\`, return every Q&A that involves all of those cards.\n` +
+									'Long Q&As are split into parts with buttons to flip through them, and another button shows the lists of other cards their answer applies to (which are otherwise hidden). Q&As and FAQs also have a menu to look up any card they mention.\n' +
+									`\`f\` queries can show one effect's FAQs by adding its number, e.g. \`f${syntax.open}card${syntax.close}#2\` (\`#p1\` for pendulum effects), or via the menu below the FAQ.`
+			embedData.addFields({ name: `Query Types Help (cont.)`, value: queryTypesHelpString, inline: false })
 			queryTypesHelpString = `If you provide *none* of the above behavior-changing prefixes, \`${queryString}\` will adopt automatic behavior based on the channel the query was sent in.\n` +
 									'● if sent in a "ruling channel": acts as a `r`-type query\n' +
 									'● if sent outside of a "ruling channel": acts as an `i`-type query\n' +
@@ -78,18 +86,9 @@ module.exports = {
 		else if (feature === 'commands') {
 			embedData.setTitle('Millennium Eye Help: Commands')
 
-			// Explaining /config. Only display this to users that run this that also have the necessary permissions to use it.
-			if (interaction.guild && interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
-				let configHelpString =  'Contains bot configuration-related items to control bot behavior in individual channels or enitre servers. ' +
-										'Currently configurable items are:\n' +
-										'● **Query Syntax**: Controls what the bot considers a "query" and therefore what it responds to. This also allows setting up different syntaxes per language. See Syntax Help for more on how syntaxes work.\n' +
-										'● **Official Mode**: While enabled, query results will be limited to only what comes from official Konami sources (i.e., the database). Information from unofficial sources will be hidden, and queries that rely on such information may not work.\n' +
-										'● **Rulings Mode**: While enabled, basic card information queries will default to displaying all relevant rulings information. In syntax terms, this is the difference between an `i`- and `r`-type queries (see Syntax Help for more).\n\n'
-				embedData.addFields({ name: '`/config`', value: configHelpString, inline: false })
-				configHelpString = 'Official and Rulings Modes are configurable at both the channel- and server- level. Query Syntax is only configurable at the server-level.\n\n'
-				configHelpString += 'You can view the current state of server/channel configuration with `/config settings`, and can change Official or Rulings mode from this command as well. Query Syntax must be changed with the `/config query add|remove` subcommands.'
-				embedData.addFields({ name: '`/config` (cont.)', value: configHelpString, inline: false })
-			}
+			// Point users who can configure the bot to the rest of its help.
+			if (interaction.guild && interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+				embedData.setDescription('For `/config`, which controls bot behavior in individual channels or entire servers, see Configuration Help.')
 
 			// Explaining /query.
 			let queryHelpString =  'Provides a command form for querying the bot. It follows all the same syntax rules as a normal message-based query. See Syntax Help for more.'
@@ -109,16 +108,76 @@ module.exports = {
 									'This option allows you to change those default orders.'
 			embedData.addFields({ name: '`/price`', value: priceHelpString, inline: false })
 
-			// Explaining /match.
-			let matchHelpString =   'Allows a more general query that searches for all cards that meet a specific critera. When the query is complete, a menu will be given to allow you to select and cycle through up to 25 cards that resulted from the query. ' +
-									'Available "match type" (i.e., general criteria the bot can query) options are:\n' +
-									'● **card name**: Specify a string you\'re looking for in a card name and the bot will find cards with names that either directly contain that string or closely resemble it.'
-			embedData.addFields({ name: '`/match`', value: matchHelpString, inline: false })
+			// Explaining /search.
+			let searchHelpString =  'Searches for all cards that meet a set of criteria, e.g. Attribute, Level/Rank, types, ATK/DEF ranges, or text in their effect. At least one criteria must be given, and a card must meet all of them to be returned. ' +
+									'Results are displayed as a list that can be paged through, with a menu that allows you to select any card in the list to view its details.'
+			embedData.addFields({ name: '`/search`', value: searchHelpString, inline: false })
+
+			// Explaining /effect.
+			let effectHelpString = 'Provides a command form for searching card effect text. It acts as a normal `t`-type query.'
+			embedData.addFields({ name: '`/effect`', value: effectHelpString, inline: false })
+
+			// Explaining /history.
+			let historyHelpString = 'Shows every recorded change to a card\'s name, effect text, and stats, newest first, with removed text struck through and added text bolded. Changes are only recorded from when the bot first saw the card.'
+			embedData.addFields({ name: '`/history`', value: historyHelpString, inline: false })
+
+			// Explaining /rulings.
+			let rulingsHelpString = 'Looks up Q&As. The available subcommands are:\n' +
+									'● **card**: Lists every Q&A the given card is tagged in, with a menu that allows you to select any Q&A in the list to view it.\n' +
+									'● **between**: Returns every Q&A that involves all of the given cards (2 or 3), as a list to page through and select Q&As from, like **card**.\n' +
+									'● **search**: Searches the text of every Q&A for the given keywords, listing the best matches with the matching text highlighted.'
+			embedData.addFields({ name: '`/rulings`', value: rulingsHelpString, inline: false })
+
+			// Explaining /quiz.
+			let quizHelpString = 'A rulings quiz game. The available subcommands are:\n' +
+								'● **rulings**: Posts a random Q&A (optionally only ones involving a given card or with a given tag) with its answer hidden. Everyone can lock in an answer with the buttons below it, either Yes/No or multiple choice, and the answer is revealed once time runs out.\n' +
+								'● **leaderboard**: Shows the best quiz scores in this server, along with everyone\'s answer streaks.'
+			embedData.addFields({ name: '`/quiz`', value: quizHelpString, inline: false })
+
+			// Explaining /banlist.
+			let banlistHelpString = 'Looks up Forbidden & Limited lists. The available subcommands are:\n' +
+									'● **view**: Shows every card on the current list of a CG, grouped into Forbidden, Limited, and Semi-Limited.\n' +
+									'● **custom**: Shows every card on one of this server\'s own lists, the same way.\n' +
+									'● **diff**: Shows every card that was hit, unhit, limited, or semi-limited between two recorded lists of a CG. Defaults to the current list and the one before it.'
+			embedData.addFields({ name: '`/banlist`', value: banlistHelpString, inline: false })
 
 			// Explaining /ping.
 			let pingHelpString = 'A simple command that "pings" the bot, i.e. prompts it for a response. Used to sanity check whether the bot is currently responsive, in cases where it may seem to have abruptly stopped working.'
 			embedData.addFields({ name: '`/ping`', value: pingHelpString, inline: false })
 		}
+		else if (feature === 'config') {
+			// Only display this to users that have the necessary permissions to use /config.
+			if (!interaction.guild || !interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild)) {
+				await interaction.reply({ content: 'Configuration help is only available to users that can manage this server.', ephemeral: true })
+				return
+			}
+
+			embedData.setTitle('Millennium Eye Help: Configuration')
+
+			// Explaining /config.
+			let configHelpString =  'Contains bot configuration-related items to control bot behavior in individual channels or enitre servers. ' +
+									'Currently configurable items are:\n' +
+									'● **Query Syntax**: Controls what the bot considers a "query" and therefore what it responds to. This also allows setting up different syntaxes per language. See Syntax Help for more on how syntaxes work.\n' +
+									'● **Official Mode**: While enabled, query results will be limited to only what comes from official Konami sources (i.e., the database). Information from unofficial sources will be hidden, and queries that rely on such information may not work.\n' +
+									'● **Rulings Mode**: While enabled, basic card information queries will default to displaying all relevant rulings information. In syntax terms, this is the difference between an `i`- and `r`-type queries (see Syntax Help for more).\n' +
+									'● **Card Aliases**: Server-specific names (e.g., community nicknames) that will always resolve to a given card when used in a query.\n\n'
+			embedData.addFields({ name: '`/config`', value: configHelpString, inline: false })
+			configHelpString = 'Official and Rulings Modes are configurable at both the channel- and server- level. Query Syntax is only configurable at the server-level.\n\n'
+			configHelpString += 'Channels can also set an **Output Style**: in Compact style, messages that query several cards show up to 25 of them as one-line summaries in a single embed, with a menu to expand any of them.\n' +
+								'They can also choose whether to show **Outdated Q&A Translations** (with a warning, next to the current Japanese text) or only the Japanese original.\n\n'
+			configHelpString += 'You can view the current state of server/channel configuration with `/config settings`, and can change Official or Rulings mode, Output Style, or Outdated Q&A Translations from this command as well. Query Syntax must be changed with the `/config query add|remove` subcommands, and Card Aliases with the `/config alias add|remove|list` subcommands.'
+			embedData.addFields({ name: '`/config` (cont.)', value: configHelpString, inline: false })
+			configHelpString = 'Channels can be subscribed to a **Q&A Feed** with `/config feed subscribe`. Whenever the database updates, they are sent a digest of new Q&As, newly translated Q&As, and Q&As whose answer changed (with what changed marked). ' +
+								'A subscription can be limited to certain locales, and `/config feed watch|unwatch` limits it to Q&As about certain cards. `/config feed list` shows every subscribed channel in the server.'
+			embedData.addFields({ name: '`/config feed`', value: configHelpString, inline: false })
+			configHelpString = 'Channels can also be subscribed to **Forbidden & Limited List Changes** with `/config banlist-feed subscribe`, optionally only for certain formats (TCG, OCG, and/or MD). ' +
+								'As soon as the daily update finds a list has changed, they are sent every card whose status changed, along with its old and new status. `/config banlist-feed list` shows every subscribed channel in the server.'
+			embedData.addFields({ name: '`/config banlist-feed`', value: configHelpString, inline: false })
+			configHelpString = 'Servers can define **Custom Forbidden & Limited Lists** of their own (e.g., a house Edison or casual list). Create one with `/config custom-banlist create` and set cards on it with `/config custom-banlist set`, ' +
+								'or fill it all at once with `/config custom-banlist upload`, which takes either a JSON file mapping each card to its status or a CSV file with a `card,status` line per card (statuses can be 0-3 or names like Semi-Limited). ' +
+								'`/config custom-banlist footer` shows each card\'s status on a list next to its TCG/OCG/MD statuses in card info (except in official mode), and `/config custom-banlist list|delete` manage the server\'s lists.'
+			embedData.addFields({ name: '`/config custom-banlist`', value: configHelpString, inline: false })
+		}
 
 		await interaction.reply({
 			embeds: [ embedData ]
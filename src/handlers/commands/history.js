@@ -0,0 +1,181 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js')
+
+const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
+const { generateError } = require('lib/utils/logging')
+const { replaceIdsWithNames } = require('lib/utils/regex')
+const { diffText, formatDiff } = require('lib/utils/diff')
+const { generatePageButtons } = require('lib/utils/components')
+const { Locales, EmbedIcons, COMPONENT_TIMEOUT, YGORESOURCES_CARD_LINK } = require('lib/models/Defines')
+const { processQuery } = require('handlers/QueryHandler')
+const { searchNameToIdIndex, getCardHistory, searchTypesArray } = require('handlers/YGOResourcesHandler')
+
+const localeChoices = []
+for (const code in Locales) {
+	localeChoices.push({
+		'name': Locales[code],
+		'value': code
+	})
+}
+
+/**
+ * Helper function to build a plain stat line for a version of a card, so changes to its stats can be diffed like text.
+ * @param {Object} cardData The tracked card data of the version.
+ * @param {String} locale The locale to display types in.
+ * @returns {String} The stat line.
+ */
+function generateStatLine(cardData, locale) {
+	if (cardData.cardType !== 'monster')
+		return cardData.property ? `${cardData.property} ${cardData.cardType}` : `normal ${cardData.cardType}`
+
+	const stats = []
+	if ('attribute' in cardData) stats.push(cardData.attribute.toUpperCase())
+	if ('level' in cardData) stats.push(`Level ${cardData.level}`)
+	else if ('rank' in cardData) stats.push(`Rank ${cardData.rank}`)
+	else if ('linkArrows' in cardData) stats.push(`LINK-${cardData.linkArrows.length} ${[...cardData.linkArrows].map(a => EmbedIcons[a] ?? a).join('')}`)
+	if ('pendulumScale' in cardData) stats.push(`Scale ${cardData.pendulumScale}`)
+	if (cardData.properties && cardData.properties.length) stats.push(`[${cardData.properties.map(p => searchTypesArray(p, locale) ?? searchTypesArray(p, 'en') ?? p).join('/')}]`)
+	// ? ATK/DEF are stored as -1.
+	if ('atk' in cardData) stats.push(`ATK ${cardData.atk === -1 ? '?' : cardData.atk}`)
+	if ('def' in cardData) stats.push(`DEF ${cardData.def === -1 ? '?' : cardData.def}`)
+
+	return stats.join(' / ')
+}
+
+/**
+ * Helper function to generate the embed showing a single change to a card.
+ * @param {String} cardName The name of the card.
+ * @param {Number} cardId The database ID of the card.
+ * @param {Object} change The change to display, as returned by getCardHistory.
+ * @param {String} locale The locale of the change.
+ * @param {Number} page The (zero-indexed) page the change is on.
+ * @param {Number} numPages The total number of changes.
+ * @returns {Promise<EmbedBuilder>} The embed.
+ */
+async function generateHistoryEmbed(cardName, cardId, change, locale, page, numPages) {
+	const detected = Math.floor(new Date(change.timestamp).getTime() / 1000)
+	const embed = new EmbedBuilder()
+		.setTitle(`${cardName} — Text History`)
+		.setURL(`${YGORESOURCES_CARD_LINK}${cardId}:${locale}`)
+		.setDescription(`Changed in database revision ${change.revision} (detected <t:${detected}:D>).\nRemoved text is ~~struck through~~, added text is **bolded**.`)
+		.setColor(0x2C2F33)
+		.setFooter({ text: `Change ${page + 1} of ${numPages} • Newest first` })
+
+	const textFields = [['Name', 'name'], ['Pendulum Effect', 'pendulumEffectText'], ['Effect', 'effectText']]
+	for (const [fieldName, key] of textFields) {
+		const before = await replaceIdsWithNames(change.before[key] ?? '', locale, false)
+		const after = await replaceIdsWithNames(change.after[key] ?? '', locale, false)
+		if (before !== after)
+			embed.addFields({ name: fieldName, value: formatDiff(diffText(before, after)), inline: false })
+	}
+	const beforeStats = generateStatLine(change.before, locale)
+	const afterStats = generateStatLine(change.after, locale)
+	if (beforeStats !== afterStats)
+		embed.addFields({ name: 'Stats', value: formatDiff(diffText(beforeStats, afterStats)), inline: false })
+	// Nothing visible can still have changed (e.g., only whitespace).
+	if (!embed.data.fields || !embed.data.fields.length)
+		embed.addFields({ name: 'No Visible Changes', value: 'This change only affected formatting.', inline: false })
+
+	return embed
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('history')
+		.setDescription('Shows how a card\'s name, text, and stats have changed between database revisions.')
+		.addStringOption(op =>
+			op.setName('card')
+				.setDescription('The card to show the history of, given by name or database ID.')
+				.setRequired(true)
+				.setAutocomplete(true)
+		)
+		.addStringOption(op =>
+			op.setName('locale')
+				.setDescription('The locale of the text to show the history of. Defaults to the channel\'s locale.')
+				.setChoices(localeChoices)
+		),
+	execute: async (interaction, bot) => {
+		const official = bot.getCurrentChannelSetting(interaction.channel, 'official')
+		if (official)
+			throw generateError(null, 'Card history is not available in official mode.')
+
+		const locale = interaction.options.getString('locale') ?? bot.getCurrentChannelSetting(interaction.channel, 'locale')
+		let card = interaction.options.getString('card', true)
+		// Check for whether this is a database ID, in which case it should be made into an integer.
+		const cid = Number(card)
+		if (!isNaN(cid) && card !== '7')
+			card = cid
+
+		// Defer reply in case resolving the card takes a bit.
+		await interaction.deferReply()
+		const qry = new Query([new Search(card, 'i', locale)])
+		qry.locale = locale
+		await processQuery(qry)
+		const cardData = qry.searches[0].data
+		if (!cardData || !cardData.dbId)
+			throw generateError(null, `Could not find a card in the database matching **${card}**.`)
+
+		const cardName = cardData.name.get(locale) ?? cardData.name.get('en')
+		const changes = (await getCardHistory(cardData.dbId, locale)).reverse()
+		if (!changes.length) {
+			await interaction.editReply({ content: `There are no recorded changes to the ${Locales[locale]} name, text, or stats of **${cardName}**.` })
+			return
+		}
+
+		let page = 0
+		const msgOptions = {
+			embeds: [await generateHistoryEmbed(cardName, cardData.dbId, changes[page], locale, page, changes.length)],
+			components: changes.length > 1 ? [generatePageButtons(page, changes.length, false, 'page', 'Change')] : []
+		}
+		const resp = await interaction.editReply(msgOptions)
+		if (changes.length <= 1) return
+
+		const collector = resp.createMessageComponentCollector({ time: COMPONENT_TIMEOUT })
+
+		collector.on('collect', async i => {
+			if (i.user.id !== interaction.user.id) {
+				i.reply({ content: 'Only the user that originally sent the command can interact with these options.', ephemeral: true })
+				return
+			}
+
+			if (/^page_(prev|next)_button/.test(i.customId)) {
+				page += /^page_prev/.test(i.customId) ? -1 : 1
+				page = Math.min(Math.max(page, 0), changes.length - 1)
+				msgOptions.embeds = [await generateHistoryEmbed(cardName, cardData.dbId, changes[page], locale, page, changes.length)]
+				msgOptions.components = [generatePageButtons(page, changes.length, false, 'page', 'Change')]
+
+				await i.update(msgOptions)
+			}
+			collector.resetTimer()
+		})
+
+		collector.on('end', async () => {
+			msgOptions.components = [generatePageButtons(page, changes.length, true, 'page', 'Change')]
+			try { await interaction.editReply(msgOptions) }
+			catch (err) {
+				// The reply was probably deleted. Nothing to disable.
+			}
+		})
+	},
+	autocomplete: async (interaction, bot) => {
+		const focus = interaction.options.getFocused(true)
+		if (focus.name !== 'card') return
+
+		const search = focus.value.toLowerCase()
+		const locale = interaction.options.getString('locale') ?? bot.getCurrentChannelSetting(interaction.channel, 'locale')
+
+		const matches = await searchNameToIdIndex(search, [locale], 25, true)
+
+		const options = []
+		matches.forEach((score, m) => {
+			// Matches return in the form "Name|ID". We need both, name is what we display while ID is what the choice maps to.
+			const parseMatch = m.split('|')
+			const name = parseMatch[0]
+			const id = parseMatch[1]
+
+			options.push({ name: name, value: id })
+		})
+
+		await interaction.respond(options)
+	}
+}
\ No newline at end of file
@@ -0,0 +1,170 @@
+const { SlashCommandBuilder } = require('discord.js')
+
+const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
+const { generateError } = require('lib/utils/logging')
+const { Locales, BOT_OWNER_ID } = require('lib/models/Defines')
+const { processQuery, evictSearchTerm } = require('handlers/QueryHandler')
+const { searchNameToIdIndex, setNickname, removeNickname, getNicknames, reloadNicknames, getCachedCardName } = require('handlers/YGOResourcesHandler')
+
+const localeChoices = []
+for (const code in Locales) {
+	localeChoices.push({
+		'name': Locales[code],
+		'value': code
+	})
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('nickname')
+		.setDescription('Manage the bot-wide card nickname dictionary. Only usable by the bot owner.')
+		.addSubcommand(sc =>
+			sc.setName('add')
+				.setDescription('Add a nickname that will resolve to the given card in every server.')
+				.addStringOption(op =>
+					op.setName('nickname')
+						.setDescription('The nickname, e.g., the \'ash\' in \'[ash]\'.')
+						.setRequired(true)
+				)
+				.addStringOption(op =>
+					op.setName('card')
+						.setDescription('The card the nickname refers to, given by name or database ID.')
+						.setRequired(true)
+						.setAutocomplete(true)
+				)
+				.addStringOption(op =>
+					op.setName('locale')
+						.setDescription('The locale the nickname is used in. Defaults to English.')
+						.setChoices(localeChoices)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('remove')
+				.setDescription('Remove a nickname from the dictionary.')
+				.addStringOption(op =>
+					op.setName('nickname')
+						.setDescription('The nickname to remove.')
+						.setRequired(true)
+				)
+				.addStringOption(op =>
+					op.setName('locale')
+						.setDescription('The locale the nickname is used in. Defaults to English.')
+						.setChoices(localeChoices)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('list')
+				.setDescription('List all nicknames in the dictionary for a locale.')
+				.addStringOption(op =>
+					op.setName('locale')
+						.setDescription('The locale to list nicknames for. Defaults to English.')
+						.setChoices(localeChoices)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('reload')
+				.setDescription('Reload the nickname dictionary from disk to pick up any changes made to the file.')
+		),
+	execute: async (interaction, bot) => {
+		if (interaction.user.id !== BOT_OWNER_ID)
+			throw generateError(null, 'This command can only be used by the bot owner.')
+
+		const sc = interaction.options.getSubcommand()
+		const locale = interaction.options.getString('locale') ?? 'en'
+
+		if (sc === 'add') {
+			const nickname = interaction.options.getString('nickname', true).trim().toLowerCase()
+			let card = interaction.options.getString('card', true)
+			// Check for whether this is a database ID, in which case it should be made into an integer.
+			const cid = Number(card)
+			if (!isNaN(cid) && card !== '7')
+				card = cid
+
+			// Defer reply in case resolving the card takes a bit.
+			await interaction.deferReply({ ephemeral: true })
+			// Resolve the card to make sure it actually exists.
+			const qry = new Query([new Search(card, 'i', locale)])
+			qry.locale = locale
+			await processQuery(qry)
+			const cardData = qry.searches[0].data
+			if (!cardData || !cardData.dbId)
+				throw generateError(null, `Could not find a card in the database matching **${card}**, no changes were made.`)
+
+			setNickname(nickname, locale, cardData.dbId)
+			// Whatever this used to resolve to is no longer right.
+			evictSearchTerm(nickname)
+
+			await interaction.editReply({ content: `${Locales[locale]} queries for **${nickname}** will now always resolve to **${cardData.name.get(locale) ?? cardData.name.get('en')}**.` })
+		}
+		else if (sc === 'remove') {
+			const nickname = interaction.options.getString('nickname', true).trim().toLowerCase()
+
+			const removed = removeNickname(nickname, locale)
+			if (removed === undefined)
+				await interaction.reply({ content: `Could not find any existing ${Locales[locale]} nickname **${nickname}**, no changes were made.`, ephemeral: true })
+			else {
+				evictSearchTerm(nickname)
+				await interaction.reply({ content: `Removed ${Locales[locale]} nickname **${nickname}** (which referred to **${await getCachedCardName(removed, locale) ?? removed}**).`, ephemeral: true })
+			}
+		}
+		else if (sc === 'list') {
+			const nicknames = Object.entries(getNicknames(locale)).sort(([a], [b]) => a.localeCompare(b))
+			if (!nicknames.length) {
+				await interaction.reply({ content: `There are no ${Locales[locale]} nicknames.`, ephemeral: true })
+				return
+			}
+
+			let nicknameString = `**${Locales[locale]} Nicknames:**\n`
+			for (let i = 0; i < nicknames.length; i++) {
+				const [nickname, id] = nicknames[i]
+				const line = `● **${nickname}** → ${await getCachedCardName(id, locale) ?? id}\n`
+				// Don't go over the max message length.
+				if (nicknameString.length + line.length > 1950) {
+					nicknameString += `...and ${nicknames.length - i} more.`
+					break
+				}
+				nicknameString += line
+			}
+			await interaction.reply({ content: nicknameString, ephemeral: true })
+		}
+		else if (sc === 'reload') {
+			// Everything resolved with the old dictionary could be wrong now, evict all of it.
+			for (const code in Locales)
+				for (const nickname in getNicknames(code))
+					evictSearchTerm(nickname)
+			reloadNicknames()
+			for (const code in Locales)
+				for (const nickname in getNicknames(code))
+					evictSearchTerm(nickname)
+
+			await interaction.reply({ content: 'Reloaded the nickname dictionary from disk.', ephemeral: true })
+		}
+		else
+			throw generateError(
+				`Received a non-existent subcommand/option for command ${interaction.commandName}.`,
+				`Received a non-existent subcommand/option for command ${interaction.commandName}.`
+			)
+	},
+	autocomplete: async (interaction, bot) => {
+		const focus = interaction.options.getFocused(true)
+		if (focus.name !== 'card') return
+
+		const search = focus.value.toLowerCase()
+		const locale = interaction.options.getString('locale') ?? 'en'
+
+		const matches = await searchNameToIdIndex(search, [locale], 25, true)
+
+		const options = []
+		matches.forEach((score, m) => {
+			// Matches return in the form "Name|ID". We need both, name is what we display while ID is what the choice maps to.
+			const parseMatch = m.split('|')
+			const name = parseMatch[0]
+			const id = parseMatch[1]
+
+			options.push({ name: name, value: id })
+		})
+
+		await interaction.respond(options)
+	}
+}
\ No newline at end of file
@@ -2,6 +2,7 @@ const { inspect } = require('util')
 const { SlashCommandBuilder } = require('discord.js')
  
 const { logger } = require('lib/utils/logging')
+const { BOT_OWNER_ID } = require('lib/models/Defines')
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -11,7 +12,7 @@ module.exports = {
 		await interaction.reply('Pinging...')
 		await interaction.editReply(`🏓 Pong! Latency: ${bot.ws.ping} ms`)
 
-		if (interaction.user.id === '219319817688186891') {
+		if (interaction.user.id === BOT_OWNER_ID) {
 			const formatBytesToMB = (data) => `${Math.round(data / 1024 / 1024 * 100) / 100} MB`
 			const mem = process.memoryUsage()
 			const fmtMem = {
@@ -1,7 +1,7 @@
 const { SlashCommandBuilder } = require('discord.js')
 
 const Query = require('lib/models/Query')
-const { processQuery, updateUserTimeout, queryRespond } = require('handlers/QueryHandler')
+const { processQuery, updateUserTimeout, sendQueryReply } = require('handlers/QueryHandler')
 const { searchNameToIdIndex } = require('handlers/YGOResourcesHandler')
 
 module.exports = {
@@ -44,22 +44,7 @@ module.exports = {
 			await interaction.deferReply()
 			await processQuery(qry)
 			
-			const embedData = await qry.getDataEmbeds()
-			let omitResults = false
-			// Build message data.
-			const replyOptions = {}
-			if ('embeds' in embedData) {
-				replyOptions.embeds = embedData.embeds.slice(0, 5)
-				if (embedData.embeds.length > 5)
-					omitResults = true
-			}
-			if ('attachments' in embedData)
-				replyOptions.files = embedData.attachments.slice(0 , 5)
-			let report = Query.generateSearchResolutionReport(qry.searches)
-			if (omitResults)
-				report += '\n**Note:** Some results were omitted because the bot can only send 10 card data embeds at a time.'
-
-			await queryRespond(bot, interaction, report, qry, replyOptions)
+			await sendQueryReply(bot, interaction, qry, interaction.user.id)
 		}
 	},
 	autocomplete: async (interaction, bot) => {
@@ -0,0 +1,350 @@
+const { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, EmbedBuilder } = require('discord.js')
+
+const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
+const Ruling = require('lib/models/Ruling')
+const { generateError } = require('lib/utils/logging')
+const { replaceIdsWithNames } = require('lib/utils/regex')
+const { QUIZ_ANSWER_TIME, QUIZ_CHOICES, QUIZ_LEADERBOARD_SIZE } = require('lib/models/Defines')
+const { processQuery } = require('handlers/QueryHandler')
+const { searchNameToIdIndex, getRandomQaIds, getQaApiData, populateRulingFromYgoresourcesApi } = require('handlers/YGOResourcesHandler')
+const { recordQuizAnswers, getQuizLeaderboard, getQuizScore } = require('handlers/BotDBHandler')
+
+const CHOICE_LABELS = ['A', 'B', 'C', 'D', 'E']
+// Only one quiz question can be running in a channel at a time.
+const activeQuizChannels = new Set()
+
+/**
+ * Helper function to pick the locale to quiz a ruling in.
+ * @param {Ruling} ruling The ruling.
+ * @param {String} locale The preferred locale. Falls back to EN (then JA) if the ruling isn't translated into it or the translation is outdated.
+ * @returns {String} The locale to use.
+ */
+function getQuizLocale(ruling, locale) {
+	// Outdated translations might not have the right answer anymore.
+	if (ruling.title.has(locale) && !ruling.isOutdated(locale)) return locale
+	if (ruling.title.has('en') && !ruling.isOutdated('en')) return 'en'
+	return ruling.title.has('ja') ? 'ja' : ruling.title.keys().next().value
+}
+
+/**
+ * Helper function to determine whether a ruling has a yes or no answer.
+ * This can only be told from the English answer, which Konami's translations consistently start with "Yes" or "No".
+ * @param {Ruling} ruling The ruling.
+ * @returns {String} 'Yes' or 'No' if this is a yes or no ruling, undefined otherwise.
+ */
+function getYesNoAnswer(ruling) {
+	const enAnswer = ruling.answer.get('en')
+	if (!enAnswer || ruling.isOutdated('en')) return undefined
+
+	const yesNoMatch = enAnswer.trim().match(/^(yes|no)\b/i)
+	if (!yesNoMatch) return undefined
+
+	return yesNoMatch[1].toLowerCase() === 'yes' ? 'Yes' : 'No'
+}
+
+/**
+ * Helper function to boil a ruling's answer down to its first sentence, to be used as a multiple-choice option.
+ * @param {Ruling} ruling The ruling.
+ * @param {String} locale The locale of the answer to use.
+ * @returns {Promise<String>} The first sentence of the answer, or undefined if the ruling has no answer in that locale.
+ */
+async function getChoiceText(ruling, locale) {
+	const answer = ruling.answer.get(locale)
+	if (!answer) return undefined
+
+	// Same as when displaying rulings, ignore the lists of other cards the answer could apply to.
+	const prunedAnswer = await replaceIdsWithNames(answer.split('~~~')[0].trim(), locale, false)
+	const firstSentence = prunedAnswer.split(/(?<=[.。!?！？])\s*/)[0].trim()
+
+	return firstSentence.length > 200 ? `${firstSentence.slice(0, 199)}…` : firstSentence
+}
+
+/**
+ * Helper function to build the row of answer buttons for a quiz question.
+ * @param {Array<String>} choices The labels of the answers.
+ * @param {String} correctChoice The label of the correct answer. Only highlighted once the answer is revealed.
+ * @param {Boolean} reveal Whether the answer has been revealed, in which case all buttons are disabled.
+ * @returns {ActionRowBuilder} The row containing the answer buttons.
+ */
+function generateAnswerRow(choices, correctChoice, reveal = false) {
+	const answerRow = new ActionRowBuilder()
+	for (const c of choices) {
+		answerRow.addComponents(
+			new ButtonBuilder()
+				.setCustomId(`quiz_answer_${c}`)
+				.setLabel(c)
+				.setStyle(reveal ? (c === correctChoice ? 'Success' : 'Secondary') : 'Primary')
+				.setDisabled(reveal)
+		)
+	}
+
+	return answerRow
+}
+
+/**
+ * Helper function to build the text of a leaderboard entry.
+ * @param {Object} score The score data from the bot database.
+ * @returns {String} The leaderboard line.
+ */
+function generateScoreLine(score) {
+	return `<@${score.userId}> — **${score.correct}**/${score.answered} correct (streak: ${score.streak}, best: ${score.bestStreak})`
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('quiz')
+		.setDescription('Test your rulings knowledge.')
+		.addSubcommand(sc =>
+			sc.setName('rulings')
+				.setDescription('Post a random Q&A for everyone to answer.')
+				.addStringOption(op =>
+					op.setName('card')
+						.setDescription('Only quiz on Q&As involving this card, given by name or database ID.')
+						.setAutocomplete(true)
+				)
+				.addStringOption(op =>
+					op.setName('tag')
+						.setDescription('Only quiz on Q&As with this tag.')
+				)
+				.addIntegerOption(op =>
+					op.setName('time')
+						.setDescription(`How many seconds everyone has to answer. Defaults to ${QUIZ_ANSWER_TIME}.`)
+						.setMinValue(10)
+						.setMaxValue(120)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('leaderboard')
+				.setDescription('Show the best rulings quiz scores in this server.')
+		),
+	execute: async (interaction, bot) => {
+		const sc = interaction.options.getSubcommand()
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+
+		if (sc === 'rulings') {
+			const official = bot.getCurrentChannelSetting(interaction.channel, 'official')
+			if (official)
+				throw generateError(null, 'Q&As are not available in official mode.')
+			if (activeQuizChannels.has(interaction.channelId))
+				throw generateError(null, 'There is already a quiz question running in this channel. Wait for its answer to be revealed first.')
+
+			const answerTime = interaction.options.getInteger('time') ?? QUIZ_ANSWER_TIME
+			const tag = interaction.options.getString('tag') ?? undefined
+			let card = interaction.options.getString('card')
+			// Check for whether this is a database ID, in which case it should be made into an integer.
+			const cid = Number(card)
+			if (card && !isNaN(cid) && card !== '7')
+				card = cid
+
+			activeQuizChannels.add(interaction.channelId)
+			let quizPosted = false
+			try {
+				// Defer reply in case picking Q&As takes a bit.
+				await interaction.deferReply()
+
+				let cardId = undefined
+				if (card) {
+					const cardQry = new Query([new Search(card, 'i', locale)])
+					cardQry.locale = locale
+					await processQuery(cardQry)
+					const cardData = cardQry.searches[0].data
+					if (!cardData || !cardData.dbId) {
+						await interaction.editReply({ content: `Could not find a card in the database matching **${card}**.` })
+						return
+					}
+					cardId = cardData.dbId
+				}
+
+				// Grab more than we need so there are other answers to make multiple-choice options out of.
+				const qaIds = await getRandomQaIds(QUIZ_CHOICES * 3, cardId, tag)
+				if (!qaIds.length) {
+					await interaction.editReply({ content: 'Could not find any Q&As to quiz on with those options.' })
+					return
+				}
+				const quizIds = new Set(qaIds)
+				// The filtered Q&As might not provide enough wrong answers, so pad them out with others.
+				if (qaIds.length < QUIZ_CHOICES * 3 && (cardId !== undefined || tag))
+					for (const qid of await getRandomQaIds(QUIZ_CHOICES * 3))
+						if (!qaIds.includes(qid)) qaIds.push(qid)
+
+				const rulings = (await getQaApiData(qaIds)).map(qa => {
+					const ruling = new Ruling()
+					populateRulingFromYgoresourcesApi(qa, ruling)
+					return ruling
+				}).filter(r => r.title.size)
+				// Only Q&As that passed the filters can be the question itself.
+				const quizRuling = rulings.find(r => quizIds.has(r.id))
+				if (!quizRuling) {
+					await interaction.editReply({ content: 'Could not find any Q&As to quiz on with those options.' })
+					return
+				}
+
+				rulings.splice(rulings.indexOf(quizRuling), 1)
+				const quizLocale = getQuizLocale(quizRuling, locale)
+				const yesNoAnswer = getYesNoAnswer(quizRuling)
+
+				let choices = []
+				let correctChoice = undefined
+				let choiceField = undefined
+				if (yesNoAnswer) {
+					choices = ['Yes', 'No']
+					correctChoice = yesNoAnswer
+				}
+				else {
+					// Build multiple-choice options out of the first sentence of this answer and other non-yes or no answers.
+					const choiceTexts = [await getChoiceText(quizRuling, quizLocale)]
+					for (const r of rulings) {
+						if (choiceTexts.length >= QUIZ_CHOICES) break
+						if (getYesNoAnswer(r)) continue
+
+						const wrongText = await getChoiceText(r, quizLocale)
+						if (wrongText && !choiceTexts.includes(wrongText))
+							choiceTexts.push(wrongText)
+					}
+					if (choiceTexts.length < 2) {
+						await interaction.editReply({ content: 'Could not find enough Q&As to build a quiz question with those options.' })
+						return
+					}
+
+					// Shuffle the options so the right answer isn't always first.
+					const order = choiceTexts.map((t, i) => { return { text: t, correct: i === 0, sort: Math.random() } }).sort((a, b) => a.sort - b.sort)
+					choices = CHOICE_LABELS.slice(0, order.length)
+					correctChoice = choices[order.findIndex(o => o.correct)]
+					choiceField = { name: '__Choices__', value: order.map((o, i) => `**${choices[i]}.** ${o.text}`).join('\n'), inline: false }
+				}
+
+				// Only ask the question. The answer (and the Q&A's ID, which could be used to look it up) isn't shown until it's revealed.
+				const quizEmbed = await quizRuling.generateQuestionEmbed(quizLocale)
+				if (choiceField) quizEmbed.addFields(choiceField)
+				quizEmbed.setFooter({ text: 'Rulings Quiz' })
+
+				const endTime = Math.floor(Date.now() / 1000) + answerTime
+				const resp = await interaction.editReply({
+					content: `Lock in your answer! The answer will be revealed <t:${endTime}:R>.`,
+					embeds: [quizEmbed],
+					components: [generateAnswerRow(choices, correctChoice)]
+				})
+
+				quizPosted = true
+
+				/** @type {Map<String, String>} */
+				const answers = new Map()
+				const collector = resp.createMessageComponentCollector({ time: answerTime * 1000 })
+
+				collector.on('collect', async i => {
+					if (answers.has(i.user.id)) {
+						await i.reply({ content: `You already locked in **${answers.get(i.user.id)}**.`, ephemeral: true })
+						return
+					}
+
+					const choice = i.customId.replace(/^quiz_answer_/, '')
+					answers.set(i.user.id, choice)
+					await i.reply({ content: `Locked in **${choice}**.`, ephemeral: true })
+				})
+
+				collector.on('end', async () => {
+					activeQuizChannels.delete(interaction.channelId)
+
+					const results = new Map()
+					for (const [userId, choice] of answers)
+						results.set(userId, choice === correctChoice)
+					// Scores are only tracked in servers.
+					if (interaction.guildId && results.size)
+						recordQuizAnswers(interaction.guildId, results)
+
+					const revealEmbed = (await quizRuling.generateRulingEmbed(quizLocale)).embed
+					if (choiceField) revealEmbed.addFields(choiceField)
+					revealEmbed.setFooter({ text: `Rulings Quiz • Q&A #${quizRuling.id}` })
+
+					let resultString = ''
+					if (!results.size)
+						resultString = 'Nobody answered.'
+					else {
+						const sortedResults = [...results].sort((a, b) => b[1] - a[1])
+						for (let j = 0; j < sortedResults.length; j++) {
+							const [userId, correct] = sortedResults[j]
+							let line = `${correct ? '✅' : '❌'} <@${userId}>`
+							if (correct && interaction.guildId)
+								line += ` (streak: ${getQuizScore(interaction.guildId, userId).streak})`
+							line += '\n'
+							// Don't go over the max field length.
+							if (resultString.length + line.length > 1000) {
+								resultString += `...and ${sortedResults.length - j} more.`
+								break
+							}
+							resultString += line
+						}
+					}
+					revealEmbed.addFields({ name: '__Results__', value: resultString, inline: false })
+
+					try {
+						await interaction.editReply({
+							content: `Time's up! The answer was **${correctChoice}**.`,
+							embeds: [revealEmbed],
+							components: [generateAnswerRow(choices, correctChoice, true)]
+						})
+					}
+					catch (err) {
+						// The question was probably deleted. Nothing to reveal the answer on.
+					}
+				})
+			}
+			finally {
+				// If no question was posted, nothing will reveal its answer, so free up the channel for another quiz.
+				if (!quizPosted)
+					activeQuizChannels.delete(interaction.channelId)
+			}
+		}
+		else if (sc === 'leaderboard') {
+			if (!interaction.guildId)
+				throw generateError(null, 'Quiz scores are only tracked in servers.')
+
+			const leaderboard = getQuizLeaderboard(interaction.guildId, QUIZ_LEADERBOARD_SIZE)
+			if (!leaderboard.length) {
+				await interaction.reply({ content: 'Nobody in this server has answered a quiz question yet. Start one with `/quiz rulings`!', ephemeral: true })
+				return
+			}
+
+			let leaderboardString = ''
+			for (let i = 0; i < leaderboard.length; i++)
+				leaderboardString += `**${i + 1}.** ${generateScoreLine(leaderboard[i])}\n`
+
+			const leaderboardEmbed = new EmbedBuilder()
+				.setTitle('Rulings Quiz Leaderboard')
+				.setDescription(leaderboardString)
+			// Let the user know where they stand if they aren't on the board.
+			const userScore = getQuizScore(interaction.guildId, interaction.user.id)
+			if (userScore && userScore.rank > leaderboard.length)
+				leaderboardEmbed.addFields({ name: 'Your Rank', value: `**${userScore.rank}.** ${generateScoreLine(userScore)}`, inline: false })
+
+			await interaction.reply({ embeds: [leaderboardEmbed] })
+		}
+		else
+			throw generateError(
+				`Received a non-existent subcommand/option for command ${interaction.commandName}.`,
+				`Received a non-existent subcommand/option for command ${interaction.commandName}.`
+			)
+	},
+	autocomplete: async (interaction, bot) => {
+		const focus = interaction.options.getFocused(true)
+		if (focus.name !== 'card') return
+
+		const search = focus.value.toLowerCase()
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+
+		const matches = await searchNameToIdIndex(search, [locale], 25, true)
+
+		const options = []
+		matches.forEach((score, m) => {
+			// Matches return in the form "Name|ID". We need both, name is what we display while ID is what the choice maps to.
+			const parseMatch = m.split('|')
+			const name = parseMatch[0]
+			const id = parseMatch[1]
+
+			options.push({ name: name, value: id })
+		})
+
+		await interaction.respond(options)
+	}
+}
\ No newline at end of file
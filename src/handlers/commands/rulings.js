@@ -0,0 +1,320 @@
+const { SlashCommandBuilder, CommandInteraction, embedLength } = require('discord.js')
+
+const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
+const Ruling = require('lib/models/Ruling')
+const ResultList = require('lib/models/ResultList')
+const { generateError } = require('lib/utils/logging')
+const { replaceIdsWithNames } = require('lib/utils/regex')
+const { generatePageButtons, generateSelectRow } = require('lib/utils/components')
+const { COMPONENT_TIMEOUT, YGORESOURCES_QA_LINK } = require('lib/models/Defines')
+const { processQuery, queryRespond, generateRulingRow, updateRulingView, generateMentionedCardRow, replyWithMentionedCard } = require('handlers/QueryHandler')
+const { searchNameToIdIndex, findQasForCard, findQaTextMatches, getQaApiData, populateRulingFromYgoresourcesApi } = require('handlers/YGOResourcesHandler')
+
+/**
+ * Helper function to load the titles of the Q&As on the given page of results.
+ * Titles are only loaded as their page is displayed, since a card can have far more Q&As than we have cached.
+ * @param {ResultList} resultList The Q&As being displayed.
+ * @param {Number} page The page being displayed.
+ * @param {String} locale The locale to prefer for titles. Falls back to EN (then anything) if a Q&A isn't translated into this locale.
+ */
+async function loadPageTitles(resultList, page, locale) {
+	const unloaded = resultList.getPageResults(page).filter(r => !r.loaded)
+	if (!unloaded.length) return
+
+	const qaResponses = await getQaApiData(unloaded.map(r => r.id))
+	for (const qa of qaResponses) {
+		const ruling = new Ruling()
+		populateRulingFromYgoresourcesApi(qa, ruling)
+		const result = unloaded.find(r => r.id === ruling.id)
+		if (!result) continue
+
+		const titleLocale = ruling.title.has(locale) ? locale : (ruling.title.has('en') ? 'en' : ruling.title.keys().next().value)
+		if (titleLocale) {
+			result.name = await replaceIdsWithNames(ruling.title.get(titleLocale), titleLocale, false)
+			result.detail = `Q&A #${ruling.id} • ${ruling.date.get(titleLocale)}`
+		}
+	}
+	for (const r of unloaded)
+		r.loaded = true
+}
+
+/**
+ * Helper function to build the message rows for the given page of Q&As.
+ * @param {ResultList} resultList The Q&As being displayed.
+ * @param {Number} page The page being displayed.
+ * @param {Object} qaView The Q&A being viewed (if any): its query, its page and whether its card lists are shown, and the cards it mentions.
+ * @param {Boolean} disable Whether to disable all the components.
+ * @returns {Array} The array of message rows.
+ */
+function generateQaRows(resultList, page, qaView = undefined, disable = false) {
+	const messageRows = []
+
+	const selectOptions = resultList.getPageResults(page).map(r => {
+		// Select menus don't render markdown, so drop any highlighting.
+		return { label: r.name, value: r.id, description: r.detail?.replace(/\*\*/g, '') }
+	})
+	messageRows.push(generateSelectRow('qa_select', 'Select a Q&A to view it', selectOptions, disable))
+	if (resultList.getNumPages() > 1)
+		messageRows.push(generatePageButtons(page, resultList.getNumPages(), disable))
+	if (qaView) {
+		const rulingRow = generateRulingRow(qaView.pagedRuling, qaView.rulingViews, disable)
+		if (rulingRow)
+			messageRows.push(rulingRow)
+		const mentionedCardRow = generateMentionedCardRow(qaView.mentionedCards, disable)
+		if (mentionedCardRow)
+			messageRows.push(mentionedCardRow)
+	}
+
+	return messageRows
+}
+
+/**
+ * Helper function to send a paginated list of Q&As, with a menu that allows selecting any Q&A in the list to view it.
+ * @param {CommandInteraction} interaction The interaction to reply to. It must already have been deferred.
+ * @param {ResultList} resultList The Q&As to list.
+ * @param {String} locale The locale to display the Q&As in.
+ */
+async function sendQaList(interaction, resultList, locale) {
+	let page = 0
+	await loadPageTitles(resultList, page, locale)
+	const msgOptions = {
+		embeds: [resultList.generateListEmbed(page, locale)],
+		components: generateQaRows(resultList, page)
+	}
+	const resp = await interaction.editReply(msgOptions)
+
+	// The Q&A currently being viewed (if any), kept around so it can be paged through.
+	let qaView = undefined
+	// Displays the Q&A being viewed below the list.
+	const showQa = async () => {
+		const embedData = await qaView.qry.getDataEmbeds(undefined, undefined, qaView.rulingViews)
+		qaView.pagedRuling = embedData.pagedRulings ? embedData.pagedRulings[0] : undefined
+		qaView.mentionedCards = embedData.mentionedCards ?? []
+		msgOptions.embeds = [resultList.generateListEmbed(page, locale)]
+		if ('embeds' in embedData) {
+			// Long Q&As might not fit alongside the list, in which case just show the Q&A.
+			if (embedData.embeds.reduce((len, e) => len + embedLength(e.data), embedLength(msgOptions.embeds[0].data)) > 6000)
+				msgOptions.embeds = []
+			msgOptions.embeds.push(...embedData.embeds)
+		}
+		msgOptions.components = generateQaRows(resultList, page, qaView)
+	}
+
+	const collector = resp.createMessageComponentCollector({ time: COMPONENT_TIMEOUT })
+
+	collector.on('collect', async i => {
+		// Looking up a mentioned card doesn't change the message, so anyone can do it.
+		if (/^card_jump_select/.test(i.customId) && qaView) {
+			await replyWithMentionedCard(i, qaView.qry, i.user.id !== interaction.user.id)
+			collector.resetTimer()
+			return
+		}
+		if (i.user.id !== interaction.user.id) {
+			i.reply({ content: 'Only the user that originally sent the command can interact with these options.', ephemeral: true })
+			return
+		}
+
+		if (/^page_(prev|next)_button/.test(i.customId)) {
+			await i.deferUpdate()
+
+			page += /^page_prev/.test(i.customId) ? -1 : 1
+			page = Math.min(Math.max(page, 0), resultList.getNumPages() - 1)
+			// Flipping pages hides whatever Q&A was being viewed.
+			qaView = undefined
+			await loadPageTitles(resultList, page, locale)
+			msgOptions.embeds = [resultList.generateListEmbed(page, locale)]
+			msgOptions.components = generateQaRows(resultList, page)
+
+			await interaction.editReply(msgOptions)
+		}
+		else if (/^qa_select/.test(i.customId)) {
+			await i.deferUpdate()
+
+			const qaQry = new Query([new Search(parseInt(i.values[0], 10), 'q', locale)])
+			qaQry.locale = locale
+			qaQry.outdatedTranslations = interaction.client.getCurrentChannelSetting(interaction.channel, 'outdatedTranslations')
+			await processQuery(qaQry)
+			qaView = { qry: qaQry, pagedRuling: undefined, rulingViews: new Map(), mentionedCards: [] }
+			await showQa()
+
+			await interaction.editReply(msgOptions)
+		}
+		else if (/^ruling_(prev|next|lists)_button/.test(i.customId) && qaView && qaView.pagedRuling) {
+			await i.deferUpdate()
+
+			updateRulingView(qaView.pagedRuling, qaView.rulingViews, i.customId)
+			await showQa()
+
+			await interaction.editReply(msgOptions)
+		}
+		collector.resetTimer()
+	})
+
+	collector.on('end', async () => {
+		msgOptions.components = generateQaRows(resultList, page, qaView, true)
+		try { await interaction.editReply(msgOptions) }
+		catch (err) {
+			// The reply was probably deleted. Nothing to disable.
+		}
+	})
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('rulings')
+		.setDescription('Look up Q&As.')
+		.addSubcommand(sc =>
+			sc.setName('card')
+				.setDescription('List every Q&A the given card is tagged in.')
+				.addStringOption(op =>
+					op.setName('card')
+						.setDescription('The card, given by name or database ID.')
+						.setRequired(true)
+						.setAutocomplete(true)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('between')
+				.setDescription('Find every Q&A that involves all of the given cards.')
+				.addStringOption(op =>
+					op.setName('card1')
+						.setDescription('The first card, given by name or database ID.')
+						.setRequired(true)
+						.setAutocomplete(true)
+				)
+				.addStringOption(op =>
+					op.setName('card2')
+						.setDescription('The second card, given by name or database ID.')
+						.setRequired(true)
+						.setAutocomplete(true)
+				)
+				.addStringOption(op =>
+					op.setName('card3')
+						.setDescription('A third card, given by name or database ID.')
+						.setAutocomplete(true)
+				)
+		)
+		.addSubcommand(sc =>
+			sc.setName('search')
+				.setDescription('Search the text of every Q&A for the given keywords.')
+				.addStringOption(op =>
+					op.setName('text')
+						.setDescription('The keywords to search for.')
+						.setRequired(true)
+				)
+		),
+	execute: async (interaction, bot) => {
+		const sc = interaction.options.getSubcommand()
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+		const official = bot.getCurrentChannelSetting(interaction.channel, 'official')
+		if (official)
+			throw generateError(null, 'Q&As are not available in official mode.')
+
+		if (sc === 'card') {
+			let card = interaction.options.getString('card', true)
+			// Check for whether this is a database ID, in which case it should be made into an integer.
+			const cid = Number(card)
+			if (!isNaN(cid) && card !== '7')
+				card = cid
+
+			// Defer reply in case resolving the card and its Q&As takes a bit.
+			await interaction.deferReply()
+			// Resolve the card first, which also makes sure we have its data (including the Q&As it lists) cached.
+			const cardQry = new Query([new Search(card, 'i', locale)])
+			cardQry.locale = locale
+			await processQuery(cardQry)
+			const cardData = cardQry.searches[0].data
+			if (!cardData || !cardData.dbId) {
+				await interaction.editReply({ content: `Could not find a card in the database matching **${card}**.` })
+				return
+			}
+
+			const cardName = cardData.name.get(locale) ?? cardData.name.get('en')
+			const qaIds = await findQasForCard(cardData.dbId)
+			if (!qaIds.length) {
+				await interaction.editReply({ content: `Could not find any Q&As for **${cardName}**.` })
+				return
+			}
+
+			const resultList = new ResultList(`Q&As for ${cardName}`, YGORESOURCES_QA_LINK)
+			for (const qid of qaIds)
+				resultList.results.push({ id: qid, name: `Q&A #${qid}` })
+
+			await sendQaList(interaction, resultList, locale)
+		}
+		else if (sc === 'search') {
+			const text = interaction.options.getString('text', true)
+
+			// Defer reply in case loading the matching Q&As takes a bit.
+			await interaction.deferReply()
+			const matches = findQaTextMatches(text, locale)
+			if (!matches.length) {
+				await interaction.editReply({ content: `Could not find any Q&As matching **${text}**.` })
+				return
+			}
+
+			const resultList = new ResultList(`Q&A search: "${text}"`, YGORESOURCES_QA_LINK)
+			for (const m of matches)
+				// The index already has everything needed to display these, no need to load them again.
+				resultList.results.push({
+					id: m.qaId,
+					name: await replaceIdsWithNames(m.title, m.locale, false),
+					detail: await replaceIdsWithNames(m.snippet, m.locale, false),
+					loaded: true
+				})
+
+			await sendQaList(interaction, resultList, locale)
+		}
+		else if (sc === 'between') {
+			const cards = ['card1', 'card2', 'card3'].map(o => interaction.options.getString(o)).filter(c => c)
+			// Bootstrap a query from this information, the same as an r[card a + card b] query would be.
+			const qry = new Query([new Search(cards.join(' + ').toLowerCase(), 'x', locale)])
+			qry.official = official
+			qry.locale = locale
+			qry.outdatedTranslations = bot.getCurrentChannelSetting(interaction.channel, 'outdatedTranslations')
+
+			// Defer reply in case this query takes a bit.
+			await interaction.deferReply()
+			await processQuery(qry)
+			const rulingList = qry.searches[0].data
+			if (!rulingList) {
+				await queryRespond(bot, interaction, qry.searches[0].error ?? 'Could not find any Q&As involving all of the given cards.', qry)
+				return
+			}
+
+			// List every matching Q&A, only loading each page's titles as it's displayed.
+			const resultList = new ResultList(rulingList.title, YGORESOURCES_QA_LINK)
+			for (const qid of rulingList.qaIds)
+				resultList.results.push({ id: qid, name: `Q&A #${qid}` })
+
+			await sendQaList(interaction, resultList, locale)
+		}
+		else
+			throw generateError(
+				`Received a non-existent subcommand/option for command ${interaction.commandName}.`,
+				`Received a non-existent subcommand/option for command ${interaction.commandName}.`
+			)
+	},
+	autocomplete: async (interaction, bot) => {
+		const focus = interaction.options.getFocused(true)
+		if (focus.name === 'text') return
+
+		const search = focus.value.toLowerCase()
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+
+		const matches = await searchNameToIdIndex(search, [locale], 25, true)
+
+		const options = []
+		matches.forEach((score, m) => {
+			// Matches return in the form "Name|ID". We need both, name is what we display while ID is what the choice maps to.
+			const parseMatch = m.split('|')
+			const name = parseMatch[0]
+			const id = parseMatch[1]
+
+			options.push({ name: name, value: id })
+		})
+
+		await interaction.respond(options)
+	}
+}
\ No newline at end of file
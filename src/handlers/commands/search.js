@@ -0,0 +1,234 @@
+const { SlashCommandBuilder } = require('discord.js')
+
+const Query = require('lib/models/Query')
+const Search = require('lib/models/Search')
+const ResultList = require('lib/models/ResultList')
+const { processQuery } = require('handlers/QueryHandler')
+const { filterCachedCardData } = require('handlers/YGOResourcesHandler')
+const { generatePageButtons, generateSelectRow } = require('lib/utils/components')
+const { COMPONENT_TIMEOUT } = require('lib/models/Defines')
+
+/**
+ * Helper function to build a short stat line for a search result from its API data.
+ * @param {Object} cardData The locale-specific YGOResources API data for the card.
+ * @returns {String} The stat line.
+ */
+function generateResultDetail(cardData) {
+	if (cardData.cardType !== 'monster')
+		return cardData.property ? `${cardData.property} ${cardData.cardType}` : `normal ${cardData.cardType}`
+
+	const stats = []
+	if ('level' in cardData) stats.push(`Level ${cardData.level}`)
+	else if ('rank' in cardData) stats.push(`Rank ${cardData.rank}`)
+	else if ('linkArrows' in cardData) stats.push(`LINK-${cardData.linkArrows.length}`)
+	// ? ATK/DEF are stored as -1.
+	if ('atk' in cardData) stats.push(`ATK ${cardData.atk === -1 ? '?' : cardData.atk}`)
+	if ('def' in cardData) stats.push(`DEF ${cardData.def === -1 ? '?' : cardData.def}`)
+
+	return stats.join(' / ')
+}
+
+/**
+ * Helper function to build the message rows for the given page of results.
+ * @param {ResultList} resultList The results being displayed.
+ * @param {Number} page The page being displayed.
+ * @param {Boolean} disable Whether to disable all the components.
+ * @returns {Array} The array of message rows.
+ */
+function generateResultRows(resultList, page, disable = false) {
+	const messageRows = []
+
+	const selectOptions = resultList.getPageResults(page).map(r => {
+		return { label: r.name, value: r.id, description: r.detail }
+	})
+	messageRows.push(generateSelectRow('result_select', 'Select a card to view its details', selectOptions, disable))
+	if (resultList.getNumPages() > 1)
+		messageRows.push(generatePageButtons(page, resultList.getNumPages(), disable))
+
+	return messageRows
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName('search')
+		.setDescription('Searches for all cards that match the given criteria.')
+		.addStringOption(op =>
+			op.setName('cardtype')
+				.setDescription('Card type to filter on.')
+				.setChoices([
+					{ name: 'Monster', value: 'monster' },
+					{ name: 'Spell', value: 'spell' },
+					{ name: 'Trap', value: 'trap' }
+				])
+		)
+		.addStringOption(op =>
+			op.setName('property')
+				.setDescription('Spell/Trap property to filter on.')
+				.setChoices([
+					{ name: 'Normal', value: 'normal' },
+					{ name: 'Continuous', value: 'continuous' },
+					{ name: 'Counter', value: 'counter' },
+					{ name: 'Equip', value: 'equip' },
+					{ name: 'Field', value: 'field' },
+					{ name: 'Quick-Play', value: 'quickplay' },
+					{ name: 'Ritual', value: 'ritual' }
+				])
+		)
+		.addStringOption(op =>
+			op.setName('attribute')
+				.setDescription('Monster Attribute to filter on.')
+				.setChoices([
+					{ name: 'DARK', value: 'dark' },
+					{ name: 'DIVINE', value: 'divine' },
+					{ name: 'EARTH', value: 'earth' },
+					{ name: 'FIRE', value: 'fire' },
+					{ name: 'LIGHT', value: 'light' },
+					{ name: 'WATER', value: 'water' },
+					{ name: 'WIND', value: 'wind' }
+				])
+		)
+		.addIntegerOption(op =>
+			op.setName('level')
+				.setDescription('Monster Level or Rank to filter on.')
+				.setMinValue(0)
+				.setMaxValue(13)
+		)
+		.addIntegerOption(op =>
+			op.setName('link')
+				.setDescription('Link Rating to filter on.')
+				.setMinValue(1)
+				.setMaxValue(8)
+		)
+		.addStringOption(op =>
+			op.setName('types')
+				.setDescription('Comma-separated monster types that must all be present (e.g., "Dragon, Tuner").')
+		)
+		.addIntegerOption(op =>
+			op.setName('atk_min')
+				.setDescription('Minimum ATK.')
+				.setMinValue(0)
+		)
+		.addIntegerOption(op =>
+			op.setName('atk_max')
+				.setDescription('Maximum ATK.')
+				.setMinValue(0)
+		)
+		.addIntegerOption(op =>
+			op.setName('def_min')
+				.setDescription('Minimum DEF.')
+				.setMinValue(0)
+		)
+		.addIntegerOption(op =>
+			op.setName('def_max')
+				.setDescription('Maximum DEF.')
+				.setMinValue(0)
+		)
+		.addStringOption(op =>
+			op.setName('text')
+				.setDescription('Text that must appear in the card\'s effect.')
+		),
+	execute: async (interaction, bot) => {
+		const filters = {
+			cardType: interaction.options.getString('cardtype'),
+			property: interaction.options.getString('property'),
+			attribute: interaction.options.getString('attribute'),
+			levelRank: interaction.options.getInteger('level'),
+			linkRating: interaction.options.getInteger('link'),
+			types: [],
+			atkMin: interaction.options.getInteger('atk_min'),
+			atkMax: interaction.options.getInteger('atk_max'),
+			defMin: interaction.options.getInteger('def_min'),
+			defMax: interaction.options.getInteger('def_max'),
+			text: interaction.options.getString('text')
+		}
+		const types = interaction.options.getString('types')
+		if (types)
+			filters.types = types.split(',').map(t => t.trim()).filter(t => t)
+
+		// Build a readable summary of the filters that were given so the user can see what they searched for.
+		const filterDesc = []
+		const filterLabels = {
+			cardType: 'Type', property: 'Property', attribute: 'Attribute', levelRank: 'Level/Rank', linkRating: 'Link Rating',
+			atkMin: 'ATK ≥', atkMax: 'ATK ≤', defMin: 'DEF ≥', defMax: 'DEF ≤', text: 'Text'
+		}
+		for (const [f, label] of Object.entries(filterLabels))
+			if (filters[f] !== null)
+				filterDesc.push(`${label} ${f === 'text' ? `"${filters[f]}"` : filters[f]}`)
+		if (filters.types.length)
+			filterDesc.push(`Types ${filters.types.join('/')}`)
+
+		if (!filterDesc.length) {
+			await interaction.reply({ content: 'Please provide at least one search criteria.', ephemeral: true })
+			return
+		}
+
+		const locale = bot.getCurrentChannelSetting(interaction.channel, 'locale')
+		const official = bot.getCurrentChannelSetting(interaction.channel, 'official')
+		const rulings = bot.getCurrentChannelSetting(interaction.channel, 'rulings')
+
+		// Defer reply in case this takes a bit.
+		await interaction.deferReply()
+		const matches = await filterCachedCardData(filters, locale)
+		if (!matches.length) {
+			await interaction.editReply({ content: `Could not find any cards matching: ${filterDesc.join(', ')}.` })
+			return
+		}
+
+		const resultList = new ResultList(`Search: ${filterDesc.join(', ')}`)
+		for (const m of matches)
+			resultList.results.push({ id: m.id, name: m.name, detail: generateResultDetail(m.data) })
+
+		let page = 0
+		const msgOptions = {
+			embeds: [resultList.generateListEmbed(page, locale)],
+			components: generateResultRows(resultList, page)
+		}
+		const resp = await interaction.editReply(msgOptions)
+
+		const collector = resp.createMessageComponentCollector({ time: COMPONENT_TIMEOUT })
+
+		collector.on('collect', async i => {
+			if (i.user.id !== interaction.user.id) {
+				i.reply({ content: 'Only the user that originally sent the command can interact with these options.', ephemeral: true })
+				return
+			}
+
+			if (/^page_(prev|next)_button/.test(i.customId)) {
+				page += /^page_prev/.test(i.customId) ? -1 : 1
+				page = Math.min(Math.max(page, 0), resultList.getNumPages() - 1)
+				// Flipping pages hides whatever card was being viewed.
+				msgOptions.embeds = [resultList.generateListEmbed(page, locale)]
+				msgOptions.files = []
+				msgOptions.components = generateResultRows(resultList, page)
+
+				await i.update(msgOptions)
+			}
+			else if (/^result_select/.test(i.customId)) {
+				await i.deferUpdate()
+
+				const qry = new Query([new Search(parseInt(i.values[0], 10), rulings ? 'r' : 'i', locale)])
+				qry.locale = locale
+				qry.official = official
+				qry.rulings = rulings
+				await processQuery(qry)
+
+				const embedData = await qry.getDataEmbeds()
+				msgOptions.embeds = [resultList.generateListEmbed(page, locale)]
+				if ('embeds' in embedData)
+					msgOptions.embeds.push(...embedData.embeds)
+				msgOptions.files = 'attachments' in embedData ? embedData.attachments : []
+
+				await interaction.editReply(msgOptions)
+			}
+			collector.resetTimer()
+		})
+
+		collector.on('end', async () => {
+			msgOptions.components = generateResultRows(resultList, page, true)
+			try { await interaction.editReply(msgOptions) }
+			catch (err) {
+				// The reply was probably deleted. Nothing to disable.
+			}
+		})
+	}
+}
\ No newline at end of file
@@ -3,7 +3,7 @@ const Discord = require('discord.js')
 const { MillenniumEyeBot } = require('lib/models/MillenniumEyeBot')
 const Event = require('lib/models/Event')
 const Query = require('lib/models/Query')
-const { processQuery, updateUserTimeout, queryRespond } = require('handlers/QueryHandler')
+const { processQuery, updateUserTimeout, sendQueryReply } = require('handlers/QueryHandler')
 const { logError } = require('lib/utils/logging')
 
 module.exports = new Event({
@@ -47,24 +47,7 @@ module.exports = new Event({
 		
 			await processQuery(qry)
 			
-			const embedData = await qry.getDataEmbeds()
-			let omitResults = false
-			// Build message data.
-			const replyOptions = { 
-				allowedMentions: { repliedUser: false }
-			}
-			if ('embeds' in embedData) {
-				replyOptions.embeds = embedData.embeds.slice(0, 5)
-				if (embedData.embeds.length > 5)
-					omitResults = true
-			}
-			if ('attachments' in embedData)
-				replyOptions.files = embedData.attachments.slice(0, 5)
-			let report = Query.generateSearchResolutionReport(qry.searches)
-			if (omitResults)
-				report += '\n**Note:** Some results were omitted because the bot will only send 5 card data embeds at a time.'
-	
-			await queryRespond(bot, message, report, qry, replyOptions)
+			await sendQueryReply(bot, message, qry, message.author.id, { allowedMentions: { repliedUser: false } })
 		}
 	}
 })
\ No newline at end of file
@@ -4,7 +4,7 @@ const { MillenniumEyeBot } = require('lib/models/MillenniumEyeBot')
 const Event = require('lib/models/Event')
 const Query = require('lib/models/Query')
 const { MESSAGE_TIMEOUT } = require('lib/models/Defines')
-const { processQuery, updateUserTimeout, queryRespond } = require('handlers/QueryHandler')
+const { processQuery, updateUserTimeout, queryRespond, buildQueryReply, listenForQueryComponents } = require('handlers/QueryHandler')
 const { logError } = require('lib/utils/logging')
 
 module.exports = new Event({
@@ -74,19 +74,14 @@ module.exports = new Event({
 		
 			await processQuery(newQry)
 
-			const embedData = await newQry.getDataEmbeds()
 			// Build message data.
 			const replyOptions = { 
-				allowedMentions: { repliedUser: false }
-			}
-			if ('embeds' in embedData)
-				replyOptions.embeds = embedData.embeds
-			else
+				allowedMentions: { repliedUser: false },
 				// Need to do this so embeds for searches that can no longer resolve after an edit get removed.
-				replyOptions.embeds = []
-			if ('attachments' in embedData)
-				replyOptions.files = embedData.attachments
-			const report = Query.generateSearchResolutionReport(newQry.searches)
+				embeds: []
+			}
+			const replyState = await buildQueryReply(newQry, replyOptions)
+			const report = replyState.report
 
 			if (!report && !('embeds' in replyOptions)) {
 				// There were searches but we didn't find anything for them. If we had a response, delete it.
@@ -103,11 +98,13 @@ module.exports = new Event({
 					const replyToEdit = cachedReply.replies[0]
 					await replyToEdit.removeAttachments()
 
-					await queryRespond(bot, replyToEdit, report, newQry, replyOptions)
+					var reply = await queryRespond(bot, replyToEdit, report, newQry, replyOptions)
 				}
 				else 
 					// Otherwise, just send new replies.
-					await queryRespond(bot, newMessage, report, newQry, replyOptions)
+					reply = await queryRespond(bot, newMessage, report, newQry, replyOptions)
+				if (reply)
+					listenForQueryComponents(reply, newQry, newMessage.author.id, replyState, replyOptions)
 			}
 		}
 		else
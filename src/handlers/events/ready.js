@@ -7,6 +7,8 @@ const Event = require('lib/models/Event')
 const { clearSearchCache } = require('handlers/QueryHandler')
 const { addTcgplayerDataToDb } = require('handlers/BotDBHandler')
 const { checkForDataManifestUpdate } = require('handlers/YGOResourcesHandler')
+const { postQaFeedDigests } = require('handlers/QaFeedHandler')
+const { postBanlistChanges } = require('handlers/BanlistFeedHandler')
 const { cacheSetProductData } = require('handlers/TCGPlayerHandler')
 const { updateKonamiDb } = require('handlers/KonamiDBHandler')
 
@@ -85,12 +87,14 @@ module.exports = new Event({
 		// (This doesn't actually clear the cache, it just checks for stale entries and evicts those).
 		setInterval(clearSearchCache, 1000 * 60 * 60)
 		if (!config.testMode) {
-			// YGOResources manifest check: once per 30 min.
-			await checkForDataManifestUpdate()
-			setInterval(checkForDataManifestUpdate, 30 * 60 * 1000)
-			// Konami database update: once per day.
-			await updateKonamiDb()
-			setInterval(updateKonamiDb, 24 * 60 * 60 * 1000)
+			// YGOResources manifest check: once per 30 min. Any new or updated QAs get posted to the channels subscribed to them.
+			const postQaChanges = qaChanges => postQaFeedDigests(bot, qaChanges)
+			await checkForDataManifestUpdate(postQaChanges)
+			setInterval(checkForDataManifestUpdate, 30 * 60 * 1000, postQaChanges)
+			// Konami database update: once per day. Any banlist changes get announced in the channels subscribed to them.
+			const announceBanlistChanges = banlistChanges => postBanlistChanges(bot, banlistChanges)
+			await updateKonamiDb(announceBanlistChanges)
+			setInterval(updateKonamiDb, 24 * 60 * 60 * 1000, announceBanlistChanges)
 			// TCGPlayer set product data update: once per day.
 			await cacheSetProductData(addTcgplayerDataToDb)
 			setInterval(cacheSetProductData, 24 * 60 * 60 * 1000, addTcgplayerDataToDb)
@@ -0,0 +1,177 @@
+const { EmbedBuilder, embedLength } = require('discord.js')
+
+const { BanlistStatus, BanlistCgs, YGORESOURCES_CARD_LINK, BANLIST_CARDS_PER_PAGE } = require('./Defines')
+const { breakUpDiscordMessage } = require('lib/utils/logging')
+
+/**
+ * @typedef {Object} BanlistEntry
+ * @property {Number} cardId The database ID of the card, if it has one.
+ * @property {String} cardName The name of the card: its English name, or its name in another locale if it has none.
+ * @property {Number} copies How many copies of the card are allowed (0 = Forbidden, 1 = Limited, 2 = Semi-Limited).
+ */
+
+/**
+ * @typedef {Object} BanlistChange
+ * @property {Number} cardId The database ID of the card, if it has one.
+ * @property {String} cardName The name of the card, same as its entry on the list.
+ * @property {Number} oldCopies How many copies were allowed before.
+ * @property {Number} newCopies How many copies are allowed after.
+ */
+
+class Banlist {
+	/**
+	 * Constructs an empty Forbidden & Limited list to be filled out later.
+	 * @param {String} cg The CG the list applies to (tcg, ocg, md), or custom for a server's own list.
+	 * @param {String} effectiveDate The date the list took effect, as YYYY-MM-DD.
+	 * @param {Number} id The ID of the list's snapshot, if it's been saved.
+	 * @param {String} name The name of the list, if it's a server's custom list rather than a CG's.
+	 */
+	constructor(cg, effectiveDate, id = null, name = null) {
+		this.id = id						// The ID of this list's snapshot.
+		this.cg = cg						// The CG this list applies to.
+		this.effectiveDate = effectiveDate	// The date this list took effect.
+		this.name = name					// The name of this list, if it's a custom list.
+		/** @type {Map<String | Number, BanlistEntry>} */
+		this.cards = new Map()				// Every card on the list, keyed by (English) name, or by database ID on custom lists. Unlimited cards aren't on it.
+	}
+
+	/**
+	 * Returns how many copies of a card this list allows.
+	 * @param {String | Number} cardKey The (English) name of the card, or its database ID if this is a custom list.
+	 * @returns {Number} The number of copies allowed, 3 if the card isn't on the list.
+	 */
+	getCopies(cardKey) {
+		const entry = this.cards.get(cardKey)
+		return entry ? entry.copies : 3
+	}
+
+	/**
+	 * Returns the name to display this list under: the custom list's name, or the CG it applies to.
+	 * @returns {String} The display name of the list.
+	 */
+	getDisplayName() {
+		return this.name ?? BanlistCgs[this.cg]
+	}
+
+	/**
+	 * Finds every card whose status is different between this list and another one.
+	 * @param {Banlist} newList The list to compare against, treated as the newer of the two.
+	 * @returns {Array<BanlistChange>} The changed cards, sorted by their new status, then by name.
+	 */
+	diff(newList) {
+		const changes = []
+		const cardKeys = new Set([...this.cards.keys(), ...newList.cards.keys()])
+		for (const key of cardKeys) {
+			const oldCopies = this.getCopies(key)
+			const newCopies = newList.getCopies(key)
+			if (oldCopies !== newCopies) {
+				const entry = newList.cards.get(key) ?? this.cards.get(key)
+				changes.push({ cardId: entry.cardId, cardName: entry.cardName, oldCopies: oldCopies, newCopies: newCopies })
+			}
+		}
+		changes.sort((a, b) => a.newCopies - b.newCopies || a.cardName.localeCompare(b.cardName))
+
+		return changes
+	}
+
+	/**
+	 * Generates the embeds that display every change between this list and a newer one, grouped by what each card's status changed to.
+	 * @param {Banlist} newList The newer list.
+	 * @param {String} locale The locale to display card names in.
+	 * @returns {Promise<Array<EmbedBuilder>>} The embeds, split up to fit in messages.
+	 */
+	async generateDiffEmbeds(newList, locale) {
+		const { getLocaleCardNames } = require('handlers/YGOResourcesHandler')
+		const changes = this.diff(newList)
+		// Lists only have English names, so look up the rest.
+		const localeNames = locale !== 'en' ? await getLocaleCardNames(changes.filter(c => c.cardId).map(c => c.cardId), locale) : new Map()
+
+		const fields = []
+		for (const copies of [0, 1, 2, 3]) {
+			const lines = []
+			for (const c of changes.filter(ch => ch.newCopies === copies)) {
+				const name = localeNames.get(c.cardId) ?? c.cardName
+				const cardString = c.cardId ? `[${name}](${YGORESOURCES_CARD_LINK}${c.cardId}:${locale})` : name
+				lines.push(`● ${cardString} (was ${BanlistStatus[c.oldCopies]})`)
+			}
+			if (!lines.length) continue
+
+			breakUpDiscordMessage(lines.join('\n'), 1024).forEach((value, i) => {
+				const name = `__${BanlistStatus[copies]}__`
+				fields.push({ name: i === 0 ? name : `${name} (cont.)`, value: value, inline: false })
+			})
+		}
+
+		// Fit as many fields in each embed as Discord allows, both in number and in total length.
+		const diffEmbeds = []
+		let currEmbed = undefined
+		for (const f of fields) {
+			if (!currEmbed || currEmbed.data.fields.length >= 25 || embedLength(currEmbed.data) + f.name.length + f.value.length > 5800) {
+				currEmbed = new EmbedBuilder()
+					.setTitle(`${newList.getDisplayName()} F/L List Changes`)
+					.setColor(0x2C2F33)
+					.setFields([])
+				diffEmbeds.push(currEmbed)
+			}
+			currEmbed.addFields(f)
+		}
+		if (!diffEmbeds.length)
+			diffEmbeds.push(new EmbedBuilder().setTitle(`${newList.getDisplayName()} F/L List Changes`).setColor(0x2C2F33))
+		diffEmbeds[0].setDescription(`From the list effective **${this.effectiveDate}** to the list effective **${newList.effectiveDate}**: ${changes.length ? `${changes.length} change(s).` : 'no changes.'}`)
+
+		return diffEmbeds
+	}
+
+	/**
+	 * Generates the pages of embeds that display every card on this list, grouped into Forbidden, Limited, and Semi-Limited sections.
+	 * @param {String} locale The locale to display card names in.
+	 * @param {Number} pageSize How many cards to show per page.
+	 * @returns {Promise<Array<EmbedBuilder>>} One embed per page.
+	 */
+	async generateListEmbeds(locale, pageSize = BANLIST_CARDS_PER_PAGE) {
+		const { getLocaleCardNames } = require('handlers/YGOResourcesHandler')
+		// Lists only have English names, so look up the rest.
+		const localeNames = locale !== 'en' ? await getLocaleCardNames([...this.cards.values()].filter(e => e.cardId).map(e => e.cardId), locale) : new Map()
+
+		const entries = []
+		for (const entry of this.cards.values()) {
+			const name = localeNames.get(entry.cardId) ?? entry.cardName
+			entries.push({ name: name, cardId: entry.cardId, copies: entry.copies })
+		}
+		entries.sort((a, b) => a.copies - b.copies || a.name.localeCompare(b.name))
+
+		const numPages = Math.max(1, Math.ceil(entries.length / pageSize))
+		const listEmbeds = []
+		for (let page = 0; page < numPages; page++) {
+			const pageEntries = entries.slice(page * pageSize, (page + 1) * pageSize)
+			const lines = []
+			pageEntries.forEach((e, i) => {
+				// Start a new section whenever the status changes, noting when it carried over from the last page.
+				if (i === 0 || e.copies !== pageEntries[i - 1].copies) {
+					const continued = i === 0 && page > 0 && entries[page * pageSize - 1].copies === e.copies
+					if (lines.length) lines.push('')
+					lines.push(`**__${BanlistStatus[e.copies]}__**${continued ? ' (cont.)' : ''}`)
+				}
+				lines.push(`● ${e.cardId ? `[${e.name}](${YGORESOURCES_CARD_LINK}${e.cardId}:${locale})` : e.name}`)
+			})
+
+			const listEmbed = new EmbedBuilder()
+				.setTitle(`${this.getDisplayName()} Forbidden & Limited List`)
+				.setColor(0x2C2F33)
+				.setDescription(lines.join('\n') || 'No cards are on this list.')
+			const footer = [`Page ${page + 1}/${numPages}`, `${entries.length} card(s)`]
+			if (this.effectiveDate)
+				footer.unshift(`Effective ${this.effectiveDate}`)
+			listEmbed.setFooter({ text: footer.join(' • ') })
+			listEmbeds.push(listEmbed)
+		}
+
+		return listEmbeds
+	}
+
+	toString() {
+		return `${this.getDisplayName()} F/L List (${this.effectiveDate ?? 'custom'}, ${this.cards.size} card(s))`
+	}
+}
+
+module.exports = Banlist
\ No newline at end of file
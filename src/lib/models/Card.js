@@ -6,7 +6,7 @@ const deasync = require('deasync')
 const { EmbedBuilder } = require('discord.js')
 const Table = require('ascii-table')
 
-const { EmbedIcons, EmbedColors, BanlistStatus, LocaleEmojis, YGORESOURCES_CARD_LINK, YUGIPEDIA_WIKI, KONAMI_CARD_LINK, KONAMI_REQUEST_LOCALE, TCGPLAYER_LOGO, TCGPLAYER_SEARCH, TCGPLAYER_PRODUCT_SEARCH } = require('./Defines')
+const { EmbedIcons, EmbedColors, BanlistStatus, BanlistCgs, LocaleEmojis, YGORESOURCES_CARD_LINK, YUGIPEDIA_WIKI, KONAMI_CARD_LINK, KONAMI_REQUEST_LOCALE, TCGPLAYER_LOGO, TCGPLAYER_SEARCH, TCGPLAYER_PRODUCT_SEARCH } = require('./Defines')
 const { logError, breakUpDiscordMessage, logger } = require('lib/utils/logging')
 const { TCGPlayerProduct } = require('./TCGPlayer')
 const { replaceIdsWithNames } = require('lib/utils/regex')
@@ -85,7 +85,7 @@ class Card {
 			rulings = type === 'r'
 
 		if (type === 'i' || type === 'r' || type === 'p') {
-			embedData = this.generateInfoEmbed(locale, rulings, official)
+			embedData = this.generateInfoEmbed(locale, rulings, official, options.customBanlist)
 		}
 		else if (type === 'a') {
 			embedData = this.generateArtEmbed(locale, official)
@@ -94,10 +94,14 @@ class Card {
 			embedData = this.generateDateEmbed(locale, official)
 		}
 		else if (type === '$') {
-			embedData = this.generatePriceEmbed(locale, official)
+			// If this was searched by print code, only show prices for that print.
+			embedData = this.generatePriceEmbed(locale, official, options.printCode ? { printCode: options.printCode } : undefined)
 		}
 		else if (type === 'f') {
-			embedData = await this.generateFaqEmbed(locale)
+			embedData = await this.generateFaqEmbed(locale, options.faqIndices)
+		}
+		else if (type === 'b') {
+			embedData = this.generateBanlistHistoryEmbed(locale, official)
 		}
 
 		return embedData
@@ -108,9 +112,10 @@ class Card {
 	 * @param {String} locale Which locale to use when generating the embed.
 	 * @param {Boolean} rulings Whether to include additional information relevant to rulings for the card.
 	 * @param {Boolean} official Whether to only include official Konami information. This overrides any inclusion from rulings mode being true.
+	 * @param {Banlist} customBanlist A server's custom F/L list to show this card's status on as well. Not shown in official mode.
 	 * @returns The generated EmbedBuilder and its image attachment (if any).
 	 */
-	generateInfoEmbed(locale, rulings, official) {
+	generateInfoEmbed(locale, rulings, official, customBanlist = undefined) {
 		const embedData = {}
 
 		// We shouldn't be here without data for this locale, but do a final sanity check to make sure we leave if so.
@@ -218,15 +223,7 @@ class Card {
 				footerString = '(Anime/Manga/Game Exclusive)'
 			}
 			else {
-				const banlistData = this.getBanlistData()
-				const statuses = []
-				for (const status in banlistData) {
-					const cgs = banlistData[status]
-					if (cgs.length) 
-						statuses.push(`${status} (${cgs.join('/')})`)
-				}
-
-				footerString = `F/L Status: ${statuses.join(', ')}`
+				footerString = `F/L Status: ${this.getBanlistStatusString(official ? undefined : customBanlist)}`
 			}
 		}
 		if (footerString)
@@ -239,6 +236,47 @@ class Card {
 		return embedData
 	}
 
+	/**
+	 * Generates a one-line summary of the card (name, type line, and F/L status),
+	 * for when many cards need to be displayed in a single embed.
+	 * @param {String} locale Which locale to use when generating the summary.
+	 * @param {Boolean} official Whether to only include official Konami information.
+	 * @returns {String} The summary line.
+	 */
+	generateSummaryLine(locale, official) {
+		// In here to avoid a circular dependency. Not pretty, but oh well.
+		const { searchTypesToLocaleIndex } = require('handlers/YGOResourcesHandler')
+
+		const cardName = this.name.get(locale) ?? this.name.get('en')
+		let summary = `**[${cardName}](${this.getEmbedTitleLink(locale, official)})**`
+
+		// Type line.
+		const lowerType = this.cardType !== null ? this.cardType.toLowerCase() : null
+		if (lowerType === 'spell' || lowerType === 'trap') {
+			summary += ` ${this.property !== null ? EmbedIcons[this.property] : ''}${EmbedIcons[lowerType]}`
+		}
+		else {
+			if (this.attribute !== null)
+				summary += ` ${EmbedIcons[this.attribute]}`
+			if (this.levelRank !== null) {
+				const lrString = (this.levelRank >= 1) ? `${this.levelRank}` : '?'
+				summary += ` ${EmbedIcons[this.types.includes('Xyz') ? 'Rank' : 'Level']}${lrString}`
+			}
+			else if (this.linkMarkers.length)
+				summary += ` Link-${this.linkMarkers.length}`
+			if (this.types.length) {
+				const localeTypes = locale !== 'en' ? searchTypesToLocaleIndex(this.types, locale) : undefined
+				summary += ` [${(localeTypes || this.types).join('/')}]`
+			}
+		}
+
+		// F/L status. Same as the info embed, don't bother for jank data with no effect.
+		if (this.effect.size)
+			summary += ` • ${this.notInCg ? '(Anime/Manga/Game Exclusive)' : this.getBanlistStatusString()}`
+
+		return summary
+	}
+
 	/**
 	 * Generates an embed containing an upsized card art (of the given ID).
 	 * @param {String} locale The locale to use for the card name.
@@ -372,6 +410,65 @@ class Card {
 		return embedData
 	}
 
+	/**
+	 * Generates an embed containing this card's status over time on the banlist of every CG.
+	 * @param {String} locale The locale to use when generating the embed.
+	 * @param {Boolean} official Whether to only include official Konami information.
+	 * @returns The generated EmbedBuilder. No images are included for banlist history embeds.
+	 */
+	generateBanlistHistoryEmbed(locale, official) {
+		const { getBanlistHistory } = require('handlers/KonamiDBHandler')
+		const embedData = {}
+
+		// We shouldn't be here without data for this locale, but do a final sanity check to make sure we leave if so.
+		if (!this.name.has(locale))
+			return embedData
+
+		const finalEmbed = new EmbedBuilder()
+
+		// Still display the typical "author line" (name, property, link, etc.)
+		const cardName = this.name.get(locale)
+		const colorIcon = this.getEmbedColorAndIcon()
+		const titleUrl = this.getEmbedTitleLink(locale, official)
+		finalEmbed.setAuthor({ name: cardName, url: titleUrl })
+		finalEmbed.setColor(colorIcon[0])
+		finalEmbed.setTitle('Forbidden & Limited History')
+
+		// Flip the current banlist data around so we can look up each CG's status.
+		const currStatuses = {}
+		for (const [status, cgs] of Object.entries(this.getBanlistData()))
+			for (const cg of cgs)
+				currStatuses[cg] = status
+
+		const history = getBanlistHistory(this)
+		for (const cg in BanlistCgs) {
+			const currStatus = currStatuses[cg.toUpperCase()]
+			const periods = history[cg]
+			const lines = []
+			// Unreleased cards aren't on any list, so every snapshot would just claim they were Unlimited.
+			if (currStatus === 'Unreleased' || !periods.length)
+				lines.push(`● **${currStatus}**${currStatus === 'Unreleased' ? '' : ' (no recorded history)'}`)
+			else {
+				// Newest first. The oldest period started some time before the first snapshot, so there's no telling exactly when.
+				for (let i = periods.length - 1; i >= 0; i--) {
+					const status = BanlistStatus[periods[i].copies]
+					const since = periods[i].since
+					if (i === periods.length - 1)
+						lines.push(`● **${status}** since ${i === 0 ? 'at least ' : ''}${since}`)
+					else {
+						const until = periods[i + 1].since
+						lines.push(i === 0 ? `● ${status} until ${until}` : `● ${status} from ${since} until ${until}`)
+					}
+				}
+			}
+			finalEmbed.addFields({ name: BanlistCgs[cg], value: breakUpDiscordMessage(lines.join('\n'), 1024)[0], inline: false })
+		}
+		finalEmbed.setFooter({ text: 'Dates are when each list was first seen by the bot.' })
+
+		embedData.embed = finalEmbed
+		return embedData
+	}
+
 	/**
 	 * Generates an embed containing all of the price data of products associated with this card.
 	 * @param {String} locale The locale to reference for the price data. 
@@ -388,8 +485,8 @@ class Card {
 		
 		const finalEmbed = new EmbedBuilder()
 
-		// Default display 3 of each rarity. If we're filtering on rarity, increase that to 15.
-		const maxRarityLimit = filters && 'rarity' in filters ? 15 : 3
+		// Default display 3 of each rarity. If we're filtering on rarity or print code, increase that to 15.
+		const maxRarityLimit = filters && ('rarity' in filters || 'printCode' in filters) ? 15 : 3
 		// Default ascending (cheapest first). If we're given a sort, use that.
 		const sort = filters && 'sort' in filters ? filters.sort : 'asc'
 		if (sort === 'asc')
@@ -411,6 +508,8 @@ class Card {
 						continue
 					}
 					else if (!p.rarity.match(new RegExp(filters.rarity))) continue
+				if ('printCode' in filters)
+					if (!p.printCode || p.printCode.toUpperCase() !== filters.printCode.toUpperCase()) continue
 			}
 
 			const productDisplayData = p.getPriceDataForDisplay(filters)
@@ -485,9 +584,10 @@ class Card {
 	/**
 	 * Generates an embed containing the card's FAQ information.
 	 * @param {String} locale Which locale to use when generating the embed.
-	 * @returns The generated EmbedBuilder and its image attachment (if any).
+	 * @param {Set<String>} faqIndices The indices of the only FAQ blocks to include (e.g., only those for the card's second effect). If empty, all of them are included.
+	 * @returns The generated EmbedBuilder, any other cards the FAQ entries mention, and every effect the card has FAQ entries for.
 	 */
-	 async generateFaqEmbed(locale) {
+	 async generateFaqEmbed(locale, faqIndices = undefined) {
 		const embedData = {}
 
 		// We shouldn't be here without data for this locale, but do a final sanity check to make sure we leave if so.
@@ -502,7 +602,13 @@ class Card {
 		finalEmbed.setAuthor({ name: cardName })
 		finalEmbed.setColor(colorIcon[0])
 
-		const faqBlocks = this.faqData.get(locale)
+		const allFaqBlocks = this.faqData.get(locale)
+		// Indices can have decimals (0.5), so compare them as numbers.
+		let faqBlocks = allFaqBlocks
+		if (faqIndices && faqIndices.size)
+			faqBlocks = allFaqBlocks.filter(fb => [...faqIndices].some(idx => parseFloat(idx) === parseFloat(fb.index)))
+		// Keep track of every other card the entries mention so they can be looked up.
+		const mentionedCards = new Map()
 
 		let numFields = 0
 		// Maintain the embed field we're currently working on, since if length allows it may actually end up containing multiple FAQ blocks.
@@ -512,13 +618,13 @@ class Card {
 
 			// If this block has a label at the front, treat it special and make it stand out.
 			let currLine = 0
-			if (fb.lines[currLine].startsWith('About') || fb.lines[currLine].startsWith('Regarding') || (fb.lines[currLine].startsWith('【') && fb.lines[currLine].endsWith('】'))) {
+			if (Card.isFaqLabel(fb.lines[currLine])) {
 				blockString += `**${fb.lines[currLine]}**\n`
 				currLine++
 			}
 			// Add all other lines normally.
 			for (currLine; currLine < fb.lines.length; currLine++) {
-				blockString += await replaceIdsWithNames(`● ${fb.lines[currLine]}\n`, locale, true)
+				blockString += await replaceIdsWithNames(`● ${fb.lines[currLine]}\n`, locale, true, mentionedCards)
 			}
 
 			// Fields can only be 1024 characters; add this block to the field but make sure to break things if we need to.
@@ -535,14 +641,48 @@ class Card {
 			currFaqField = brokenUpBlock[brokenUpBlock.length - 1]
 		}
 		// Finish adding whatever field we have left.
+		if (!faqBlocks.length)
+			currFaqField = `This card has no FAQ entries for effect ${[...faqIndices].map(idx => this.getFaqEffectName(idx)).join(', ')}.`
 		finalEmbed.addFields({ name: numFields === 0 ? '__FAQ Entries__' : '__cont.__',
 							value: currFaqField, inline: false })
 
 		embedData.embed = finalEmbed
+		mentionedCards.delete(this.dbId)
+		if (mentionedCards.size)
+			embedData.mentionedCards = [...mentionedCards].map(([id, name]) => { return { id: id, name: name, locale: locale } })
+		// Only worth switching between effects if there's more than one.
+		if (allFaqBlocks.length > 1)
+			embedData.faqEffects = allFaqBlocks.map(fb => {
+				return {
+					index: fb.index,
+					name: this.getFaqEffectName(fb.index),
+					label: Card.isFaqLabel(fb.lines[0]) ? fb.lines[0] : undefined,
+					selected: faqBlocks.length === 1 && faqBlocks[0] === fb
+				}
+			})
 
 		return embedData
 	}
 
+	/**
+	 * Gets a readable name for the effect an FAQ block is for, undoing the +100 offset given to pendulum effect indices.
+	 * @param {String} index The index of the FAQ block.
+	 * @returns {String} The name of the effect, e.g. "#2" or "Pendulum #1".
+	 */
+	getFaqEffectName(index) {
+		const numIndex = parseFloat(index)
+		return numIndex >= 100 ? `Pendulum #${numIndex - 100}` : `#${numIndex}`
+	}
+
+	/**
+	 * Checks whether a line of an FAQ block is the label at the front of it (e.g., "About the 2nd effect").
+	 * @param {String} line The line to check.
+	 * @returns {Boolean} Whether the line is a label.
+	 */
+	static isFaqLabel(line) {
+		return line.startsWith('About') || line.startsWith('Regarding') || (line.startsWith('【') && line.endsWith('】'))
+	}
+
 	/**
 	 * Helper function for resolving the icon and colors to be used in the embed.
 	 * @returns {Array} An array containing color and icon value. Color is index 0, icon is index 1.
@@ -741,12 +881,30 @@ class Card {
 		return fieldText
 	}
 
+	/**
+	 * Summarizes the card's banlist statuses in every CG, e.g. "Limited (TCG), Unlimited (OCG/MD)".
+	 * @param {Banlist} customBanlist A custom list to include the card's status on, if any.
+	 * @returns {String} The summarized banlist statuses.
+	 */
+	getBanlistStatusString(customBanlist = undefined) {
+		const banlistData = this.getBanlistData(customBanlist)
+		const statuses = []
+		for (const status in banlistData) {
+			const cgs = banlistData[status]
+			if (cgs.length) 
+				statuses.push(`${status} (${cgs.join('/')})`)
+		}
+
+		return statuses.join(', ')
+	}
+
 	/**
 	 * Returns a map of banlist statuses, where each key is the status (Unlimited, Forbidden, etc.)
 	 * and each value is an array of CGs (TCG, OCG, MD, etc.) with that status.
+	 * @param {Banlist} customBanlist A custom list to include the card's status on, if any. It's listed under its own name.
 	 * @returns {Object} A map of banlist status -> CGs with that status.
 	 */
-	getBanlistData() {
+	getBanlistData(customBanlist = undefined) {
 		const banlistStatus = {
 			'Unreleased': [],
 			'Forbidden': [],
@@ -784,10 +942,21 @@ class Card {
 			else
 				banlistStatus.Unlimited.push(mdString)
 		}
+		// Custom lists are keyed by database ID, since not every card on them has an English name.
+		if (customBanlist)
+			banlistStatus[BanlistStatus[customBanlist.getCopies(this.dbId)]].push(customBanlist.name)
 
 		return banlistStatus
 	}
 
+	/**
+	 * Returns every locale this card has a name in, i.e., every locale it can be displayed in.
+	 * @returns {Array<String>} The locales this card is available in.
+	 */
+	getAvailableLocales() {
+		return [...this.name.keys()]
+	}
+
 	/**
 	 * Returns whether this card is released in a given locale.
 	 * @param {String} locale The locale to search for.
@@ -16,14 +16,23 @@ class ConfigCache {
 		this.file = file
 
 		if (!this.file) this._cache = new Object()
-		else {
-			try {
-				this._cache = require(`${process.cwd()}/data/${this.name}.json`)
-			}
-			catch (err) {
-				this._cache = new Object()
-				logger.warn(`Using fresh empty cache for ${this.name} cache since it failed to load from file (${err}).`)
-			}
+		else this.load()
+	}
+
+	/**
+	 * Loads the cache from its file, discarding anything currently in the cache.
+	 * This can be used to pick up changes made to the file by hand while the bot is running.
+	 */
+	load() {
+		const filePath = `${process.cwd()}/data/${this.name}.json`
+		try {
+			// Make sure we actually read the file rather than getting whatever was required last time.
+			delete require.cache[require.resolve(filePath)]
+			this._cache = require(filePath)
+		}
+		catch (err) {
+			this._cache = new Object()
+			logger.warn(`Using fresh empty cache for ${this.name} cache since it failed to load from file (${err}).`)
 		}
 	}
 
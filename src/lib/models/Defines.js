@@ -7,13 +7,26 @@ module.exports = {
 	YGORESOURCES_DB_CARD_REGEX: /https?:\/\/db\.ygorganization\.com\/card#(\d+)|https?:\/\/db\.ygoresources\.com\/card#(\d+)/g,
 	IGNORE_LINKS_REGEX: /https?|www\.|steamcommunity\.com/g,
 	MARKDOWN_LINK_REGEX: /\[.*\]\(https?:.*\)/g,
+	PASSCODE_REGEX: /^\d{6,8}$/,
+	PRINT_CODE_REGEX: /^(?=[a-z0-9]*[a-z])[a-z0-9]{2,5}-(?:[a-z]{1,2})?\d{3}$/i,
 	// Constant values.
 	API_TIMEOUT: 1000 * 3,									// 3 seconds.
 	MESSAGE_TIMEOUT: 15,							// 15 seconds.
 	USER_TIMEOUT: 60,								// 1 minute.
+	COMPONENT_TIMEOUT: 1000 * 60 * 2,				// 2 minutes.
 	TCGPLAYER_PRICE_TIMEOUT: 1000 * 60 * 60 * 8,	// 8 hours.
 	CACHE_TIMEOUT: 1000 * 60 * 60 * 6,				// 6 hours.
 	SEARCH_TIMEOUT_TRIGGER: 15,
+	BOT_OWNER_ID: '219319817688186891',
+	RESULTS_PER_PAGE: 10,
+	MAX_MATCH_CANDIDATES: 5,
+	CANDIDATE_SCORE_MARGIN: 0.05,
+	MAX_RULING_RESULTS: 25,
+	RULING_PAGE_LENGTH: 3072,						// Max characters of question and answer text on one page of a ruling.
+	QUIZ_ANSWER_TIME: 30,							// 30 seconds.
+	QUIZ_CHOICES: 4,
+	QUIZ_LEADERBOARD_SIZE: 10,
+	BANLIST_CARDS_PER_PAGE: 30,
 	TCGPLAYER_API_VERSION: 'v1.39.0',
 	TCGPLAYER_LOGO: 'https://cdn.discordapp.com/attachments/1016081566541303899/1124542759240466574/resized_tcgplayer.png',
 	BOT_DB_PATH: `${process.cwd()}/data/bot.db`,
@@ -51,7 +64,18 @@ module.exports = {
 		'p': 'Yugipedia',
 		'$': 'US price',
 		'f': 'FAQ',
-		'q': 'QA'
+		'q': 'QA',
+		't': 'effect text',
+		'b': 'banlist history'
+	},
+	OutputStyles: {
+		'full': 'Full',
+		'compact': 'Compact'
+	},
+	// Defaults for any settings that don't have one given in the bot's config file.
+	DefaultSettings: {
+		'outputStyle': 'full',
+		'outdatedTranslations': true
 	},
 	Locales: {
 		'de': 'German',
@@ -120,7 +144,13 @@ module.exports = {
 		'-1': 'Unreleased',
 		0: 'Forbidden',
 		1: 'Limited',
-		2: 'Semi-Limited'
+		2: 'Semi-Limited',
+		3: 'Unlimited'
+	},
+	BanlistCgs: {
+		'tcg': 'TCG',
+		'ocg': 'OCG',
+		'md': 'Master Duel'
 	},
 	//																																		7 8 9
 	// Link markers are stored by the konami DB in the following format:	4   6
@@ -5,7 +5,7 @@ const config = require('config')
 const { generateError } = require('lib/utils/logging')
 const { setupQueryRegex } = require('lib/utils/regex')
 const ConfigCache = require('./ConfigCache')
-const { Locales, MESSAGE_TIMEOUT } = require('./Defines')
+const { Locales, DefaultSettings, MESSAGE_TIMEOUT } = require('./Defines')
 
 /**
  * @param {CommandInteraction} interaction
@@ -194,6 +194,127 @@ class MillenniumEyeBot extends Client {
 		return guild ? this.guildQueries.get([guild.id]) : this.guildQueries.get(['default'])
 	}
 
+	/**
+	 * Helper function to set a card alias for a guild.
+	 * Aliases are case-insensitive, so they are always stored in lowercase.
+	 * @param {Guild} guild The guild associated with this alias.
+	 * @param {String} alias The alias.
+	 * @param {Number} id The database ID of the card the alias refers to.
+	 */
+	setGuildAlias(guild, alias, id) {
+		this.guildSettings.put([guild.id, 'aliases', alias.toLowerCase()], id)
+	}
+
+	/**
+	 * Helper function to remove a card alias for a guild.
+	 * @param {Guild} guild The guild for which the alias will be removed.
+	 * @param {String} alias The alias to remove.
+	 * @returns The database ID the removed alias referred to, or undefined if none existed.
+	 */
+	removeGuildAlias(guild, alias) {
+		return this.guildSettings.remove([guild.id, 'aliases', alias.toLowerCase()])
+	}
+
+	/**
+	 * Helper function to get the card a guild alias refers to.
+	 * @param {Guild} guild The guild to check the aliases of, if one exists.
+	 * @param {String | Number} alias The alias to check.
+	 * @returns {Number} The database ID the alias refers to, or undefined if there is no such alias.
+	 */
+	getGuildAlias(guild, alias) {
+		if (!guild || typeof alias !== 'string') return undefined
+
+		const id = this.guildSettings.get([guild.id, 'aliases', alias.toLowerCase()])
+		// Sanity check this is actually an ID and not something like a builtin object property.
+		return Number.isInteger(id) ? id : undefined
+	}
+
+	/**
+	 * Helper function to get all card aliases for a guild.
+	 * @param {Guild} guild The guild to check the aliases of.
+	 * @returns {Object} The guild's aliases mapped to the database IDs they refer to.
+	 */
+	getGuildAliases(guild) {
+		return this.guildSettings.get([guild.id, 'aliases']) ?? {}
+	}
+
+	/**
+	 * Helper function to subscribe a channel to the feed of new and updated Q&As, or change what its subscription reports.
+	 * @param {TextChannel} channel The channel to subscribe.
+	 * @param {Array<String>} locales The locales to report Q&As in. If empty, every locale is reported.
+	 * @param {Array<Number>} cards The database IDs of the only cards to report Q&As about. If empty, Q&As about any card are reported.
+	 */
+	setQaFeed(channel, locales, cards) {
+		this.channelSettings.put([channel.id, 'qaFeed'], { guild: channel.guild.id, locales: locales, cards: cards })
+	}
+
+	/**
+	 * Helper function to unsubscribe a channel from the Q&A feed.
+	 * @param {TextChannel} channel The channel to unsubscribe.
+	 * @returns The removed subscription, or undefined if the channel wasn't subscribed.
+	 */
+	removeQaFeed(channel) {
+		return this.channelSettings.remove([channel.id, 'qaFeed'])
+	}
+
+	/**
+	 * Helper function to get a channel's Q&A feed subscription.
+	 * @param {TextChannel} channel The channel to check the subscription of.
+	 * @returns {Object} The locales and cards the subscription reports, or undefined if the channel isn't subscribed.
+	 */
+	getQaFeed(channel) {
+		return this.channelSettings.get([channel.id, 'qaFeed'])
+	}
+
+	/**
+	 * Helper function to get every channel subscribed to the Q&A feed.
+	 * @param {Guild} guild The guild to get subscribed channels in. If not given, gets them in every guild.
+	 * @returns {Array<Array>} The ID of each subscribed channel along with its subscription.
+	 */
+	getQaFeeds(guild = undefined) {
+		return this.channelSettings.entries()
+			.filter(([, settings]) => settings.qaFeed && (!guild || settings.qaFeed.guild === guild.id))
+			.map(([cid, settings]) => [cid, settings.qaFeed])
+	}
+
+	/**
+	 * Helper function to subscribe a channel to announcements of Forbidden & Limited list changes, or change which lists it's announced.
+	 * @param {TextChannel} channel The channel to subscribe.
+	 * @param {Array<String>} cgs The CGs (tcg, ocg, md) whose list changes are announced. If empty, every CG's are announced.
+	 */
+	setBanlistFeed(channel, cgs) {
+		this.channelSettings.put([channel.id, 'banlistFeed'], { guild: channel.guild.id, cgs: cgs })
+	}
+
+	/**
+	 * Helper function to unsubscribe a channel from Forbidden & Limited list change announcements.
+	 * @param {TextChannel} channel The channel to unsubscribe.
+	 * @returns The removed subscription, or undefined if the channel wasn't subscribed.
+	 */
+	removeBanlistFeed(channel) {
+		return this.channelSettings.remove([channel.id, 'banlistFeed'])
+	}
+
+	/**
+	 * Helper function to get a channel's Forbidden & Limited list change subscription.
+	 * @param {TextChannel} channel The channel to check the subscription of.
+	 * @returns {Object} The CGs the subscription announces, or undefined if the channel isn't subscribed.
+	 */
+	getBanlistFeed(channel) {
+		return this.channelSettings.get([channel.id, 'banlistFeed'])
+	}
+
+	/**
+	 * Helper function to get every channel subscribed to Forbidden & Limited list change announcements.
+	 * @param {Guild} guild The guild to get subscribed channels in. If not given, gets them in every guild.
+	 * @returns {Array<Array>} The ID of each subscribed channel along with its subscription.
+	 */
+	getBanlistFeeds(guild = undefined) {
+		return this.channelSettings.entries()
+			.filter(([, settings]) => settings.banlistFeed && (!guild || settings.banlistFeed.guild === guild.id))
+			.map(([cid, settings]) => [cid, settings.banlistFeed])
+	}
+
 	/**
 	 * Helper function to evaluate the default setting for a server (NOT necessarily its current).
 	 * @param {String} setting The key of the setting to be checked.
@@ -202,7 +323,7 @@ class MillenniumEyeBot extends Client {
 	getDefaultGuildSetting(setting) {
 		const defaultKey = `default${setting.charAt(0).toUpperCase() + setting.slice(1)}`
 
-		return config[defaultKey]
+		return config[defaultKey] ?? DefaultSettings[setting]
 	}
 
 	/**
@@ -1,6 +1,8 @@
 const { Message, CommandInteraction, GuildChannel } = require('discord.js')
 
 const Search = require('./Search')
+const Card = require('./Card')
+const Ruling = require('./Ruling')
 const { MillenniumEyeBot } = require('./MillenniumEyeBot')
 const { KONAMI_DB_CARD_REGEX, KONAMI_DB_QA_REGEX, YGORESOURCES_DB_CARD_REGEX, YGORESOURCES_DB_QA_REGEX, IGNORE_LINKS_REGEX, Locales, MARKDOWN_LINK_REGEX } = require('./Defines')
 const { logError, logger } = require('lib/utils/logging')
@@ -32,6 +34,9 @@ class Query {
 			this.official = qry.official
 			this.rulings = qry.rulings
 			this.locale = qry.locale
+			this.outputStyle = qry.outputStyle
+			this.outdatedTranslations = qry.outdatedTranslations
+			this.customBanlist = qry.customBanlist
 			this.bot = qry.bot
 			/**
 			 * @type {Array<Search>}
@@ -49,6 +54,8 @@ class Query {
 			this.official = bot.getCurrentChannelSetting(this.channel, 'official')
 			this.rulings = bot.getCurrentChannelSetting(this.channel, 'rulings')
 			this.locale = bot.getCurrentChannelSetting(this.channel, 'locale')
+			this.outputStyle = bot.getCurrentChannelSetting(this.channel, 'outputStyle')
+			this.outdatedTranslations = bot.getCurrentChannelSetting(this.channel, 'outdatedTranslations')
 			this.bot = bot
 			/**
 			 * @type {Array<Search>}
@@ -56,9 +63,26 @@ class Query {
 			this.searches = []
 
 			this.evaluateMessage(qry)
+			// Most messages aren't queries at all, so don't bother going to the database unless this one is.
+			if (this.searches.length)
+				this.customBanlist = this.loadCustomBanlist(bot)
 		}
 	}
 
+	/**
+	 * Loads the custom F/L list the server this query was sent in has chosen to show alongside the official lists, if any.
+	 * @param {MillenniumEyeBot} bot The bot.
+	 * @returns {Banlist} The custom list, or undefined if there isn't one (or this wasn't sent in a server).
+	 */
+	loadCustomBanlist(bot) {
+		const guild = this.channel ? this.channel.guild : undefined
+		const listName = bot.getCurrentGuildSetting(guild, 'footerBanlist')
+		if (!guild || !listName) return undefined
+
+		const { getCustomBanlist } = require('handlers/BotDBHandler')
+		return getCustomBanlist(guild.id, listName)
+	}
+
 	/**
 	 * Evaluates the contents of a message to extract the raw search data 
 	 * (i.e., the content and types to query) from it.
@@ -110,6 +134,10 @@ class Query {
 					let sLocale = m[4] ?? realLocale
 					// Check for JA/JP alias.
 					if (sLocale === 'jp') sLocale = 'ja'
+					// FAQ effect indices of pendulum effects are offset by 100 (e.g., #p1 is index 101).
+					let sFaqIndex = m[5]
+					if (sFaqIndex !== undefined)
+						sFaqIndex = sFaqIndex.startsWith('p') ? String(parseInt(sFaqIndex.slice(1), 10) + 100) : String(parseInt(sFaqIndex, 10))
 					// Multiple types can be contained in the first match. Iterate through all that we have.
 					for (let i = 0; i < sType.length; i++) {
 						const currType = sType.charAt(i)
@@ -118,14 +146,19 @@ class Query {
 						// parseInt stops at the first invalid character, so for strings that start with a number but have non-numeral digits,
 						// e.g., "9-volt", it just returns "9" which is incorrect. 
 						// Use type coercion on the string itself to parse the entirety of the string as a sanity check + parseInt to rule out whitespace and other issues.
-						if (!isNaN(sContent) && !isNaN(intSContent)) {
+						// Effect text searches are always text, even if they happen to be numbers.
+						if (currType !== 't' && !isNaN(sContent) && !isNaN(intSContent)) {
 							// Special case: there is a card named "7"...
 							if (currType === 'q' || sContent !== '7') {
 								sContent = intSContent
 							}
 						}
 
-						searchData.push([sContent, currType, sLocale])
+						// Rulings for several cards at once (e.g., r[card a + card b]) are a search for the QAs that involve all of them.
+						if (currType === 'r' && typeof sContent === 'string' && sContent.split('+').filter(t => t.trim()).length > 1)
+							searchData.push([sContent, 'x', sLocale])
+						else
+							searchData.push([sContent, currType, sLocale, currType === 'f' ? sFaqIndex : undefined])
 					}
 				}
 			}
@@ -173,7 +206,7 @@ class Query {
 		}
 
 		for (const s of searchData)
-			this.addSearch(s[0], s[1], s[2])
+			this.addSearch(s[0], s[1], s[2], s[3])
 	}
 
 	/**
@@ -182,19 +215,25 @@ class Query {
 	 * @param {String | Number} content The content of the search (i.e., what is being searched for).
 	 * @param {String} type The type of search (e.g., i, r, etc.)
 	 * @param {String} locale The locale of the search (e.g., en, es, etc.)
+	 * @param {String} faqIndex The index of the only FAQ block to display, if the search was narrowed down to one.
+	 * An FAQ search that wasn't narrowed down displays every FAQ block, even if the same card was also searched for with a narrower one.
 	 */
-	addSearch(content, type, locale) {
+	addSearch(content, type, locale, faqIndex = undefined) {
 		// Handle duplicates. If we already have a search of this content,
 		// then track any new type or locale to evaluate for it.
 		const oldSearch = this.findSearch(content)
 		if (oldSearch !== undefined)
-			// Don't merge QA searches with non-QA searches.
-			if (type !== 'q' || (type === 'q' && oldSearch.hasType('q'))) {
+			// Don't merge QA searches with non-QA searches, or effect text or QA card index searches with anything else.
+			if ((type !== 'q' || (type === 'q' && oldSearch.hasType('q'))) && 
+				(type === 't') === oldSearch.hasType('t') && (type === 'x') === oldSearch.hasType('x')) {
 				oldSearch.addTypeToLocale(type, locale)
+				if (type === 'f') oldSearch.addFaqIndex(faqIndex)
 				return
 			}
 		// Something new to look for...
-		this.searches.push(new Search(content, type, locale))
+		const newSearch = new Search(content, type, locale)
+		if (type === 'f') newSearch.addFaqIndex(faqIndex)
+		this.searches.push(newSearch)
 	}
 
 	/**
@@ -230,7 +269,7 @@ class Query {
 		let newSearch = this.findSearch(newTerm)
 		if (newSearch !== undefined) {
 			// Remove the original Search from our array.
-			this.searches.splice(this.searches.indexOf(s => s.originals.has(originalTerm)), 1)
+			this.searches.splice(this.searches.indexOf(originalSearch), 1)
 			// Consolidate the two.
 			newSearch.mergeWith(originalSearch)
 
@@ -243,16 +282,40 @@ class Query {
 		}
 	}
 
+	/**
+	 * Gets the locales and types a search should be displayed with.
+	 * If a locale is given and the search's data is available in it, all of the search's types are displayed in that locale instead.
+	 * @param {Search} search The search to display.
+	 * @param {String} locale The locale to display the search in, if not the ones it was made with.
+	 * @returns {Map<String, Set<String>>} The locales to display, each mapped to the types to display in that locale.
+	 */
+	getDisplayedLocaleMap(search, locale = undefined) {
+		if (!locale || !search.data || typeof search.data.getAvailableLocales !== 'function' || 
+			!search.data.getAvailableLocales().includes(locale))
+			return search.localeToTypesMap
+
+		const types = new Set()
+		for (const searchTypes of search.localeToTypesMap.values())
+			searchTypes.forEach(t => types.add(t))
+
+		return new Map([[locale, types]])
+	}
+
 	/**
 	 * Gets all embed data (embeds and associated attachments) formed from these searches.
-	 * @returns {Object} Every embed and attachment for this Query.
+	 * @param {Array<Search>} searches The searches to get embed data for, if not all of them.
+	 * @param {String} locale The locale to display the searches in, if not the ones they were made with.
+	 * @param {Map<Ruling, Object>} rulingViews The page being viewed of any rulings, and whether their card lists are shown.
+	 * @returns {Object} Every embed and attachment for this Query, along with any rulings that have more pages or card lists to show, any cards the embeds mention, 
+	 * and the effects of any FAQ embeds.
 	 */
-	async getDataEmbeds() {
+	async getDataEmbeds(searches = this.searches, locale = undefined, rulingViews = undefined) {
 		const embedData = {}
 
-		for (const s of this.searches) {
+		for (const s of searches) {
 			if (!s.data) continue
-			for (const [searchLocale, searchTypes] of s.localeToTypesMap) {
+			const matchedAlias = this.findMatchedAlias(s)
+			for (const [searchLocale, searchTypes] of this.getDisplayedLocaleMap(s, locale)) {
 				for (const t of searchTypes) {
 					try {
 						let newData = await s.data.generateEmbed({
@@ -260,11 +323,27 @@ class Query {
 							'locale': searchLocale,
 							'official': this.official,
 							'rulings': this.rulings,
-							'random': false
+							'random': false,
+							'printCode': s.printCode,
+							'faqIndices': s.faqIndices,
+							'outdatedTranslations': this.outdatedTranslations,
+							'customBanlist': this.customBanlist,
+							'rulingViews': rulingViews
 						})
 					
 						if (newData && Object.keys(newData).length) {
+							// Some data (e.g., lists of rulings) produces several embeds at once.
+							if ('embeds' in newData) {
+								if (!('embeds' in embedData)) embedData.embeds = []
+								embedData.embeds.push(...newData.embeds)
+							}
 							if ('embed' in newData) {
+								// Let the user know the real name behind any alias they used.
+								if (matchedAlias) {
+									const aliasNote = `"${matchedAlias}" refers to ${s.data.name.get(searchLocale) ?? s.data.name.get('en')}.`
+									const footer = newData.embed.data.footer
+									newData.embed.setFooter({ text: footer ? `${footer.text}\n${aliasNote}` : aliasNote, iconURL: footer ? footer.icon_url : undefined })
+								}
 								if (!('embeds' in embedData)) embedData.embeds = []
 								embedData.embeds.push(newData.embed)
 							}
@@ -272,6 +351,19 @@ class Query {
 								if (!('attachments' in embedData)) embedData.attachments = []
 								embedData.attachments.push(newData.attachment)
 							}
+							if ('pagedRulings' in newData) {
+								if (!('pagedRulings' in embedData)) embedData.pagedRulings = []
+								embedData.pagedRulings.push(...newData.pagedRulings)
+							}
+							if ('mentionedCards' in newData) {
+								if (!('mentionedCards' in embedData)) embedData.mentionedCards = []
+								embedData.mentionedCards.push(...newData.mentionedCards)
+							}
+							// Keep track of which search each FAQ embed is for, so its effects can be switched between.
+							if ('faqEffects' in newData) {
+								if (!('faqSearches' in embedData)) embedData.faqSearches = []
+								embedData.faqSearches.push({ search: s, embed: newData.embed, effects: newData.faqEffects })
+							}
 						}
 					}
 					catch (err) {
@@ -284,6 +376,28 @@ class Query {
 		return embedData
 	}
 
+	/**
+	 * Finds which of a search's original terms (if any) was a server alias or nickname for the card it resolved to.
+	 * @param {Search} search The search to check.
+	 * @returns {String} The alias that was used, or undefined if there was none.
+	 */
+	findMatchedAlias(search) {
+		if (!(search.data instanceof Card) || !search.data.dbId) return undefined
+
+		// In here to avoid a circular dependency.
+		const { findNickname } = require('handlers/YGOResourcesHandler')
+		const locales = ['en', ...search.localeToTypesMap.keys()]
+		for (const o of search.originals) {
+			if (typeof o !== 'string') continue
+
+			const aliasId = this.bot ? this.bot.getGuildAlias(this.channel.guild, o) : undefined
+			if ((aliasId ?? findNickname(o, locales)) === search.data.dbId)
+				return o
+		}
+
+		return undefined
+	}
+
 	/**
 	 * Returns a string that reports any quirks of the given searches' that would cause
 	 * any of their data to not show.
@@ -294,14 +408,19 @@ class Query {
 		let str = ''
 		const unresolvedLocaleData = new Map()
 		const officialModeBlocks = new Set()
+		const searchErrors = []
 
 		for (const s of searches) {
 			const unresolvedLocaleTypes = s.getUnresolvedData()
 
 			// If this was an FAQ or QA-type query in an official-mode channel, report that instead of a generic "unresolved".
-			if (this.official && (s.hasType('f') || s.hasType('q'))) {
+			if (this.official && (s.hasType('f') || s.hasType('q') || s.hasType('x'))) {
 				officialModeBlocks.add(...s.originals)
 			}
+			// Same for any search that knows exactly why it couldn't be resolved.
+			else if (s.error && unresolvedLocaleTypes.size) {
+				searchErrors.push(s.error)
+			}
 			// If this had any generic unresolved data, report it.
 			else if (unresolvedLocaleTypes.size) {
 				for (const locale of unresolvedLocaleTypes.keys()) {
@@ -320,6 +439,9 @@ class Query {
 		if (officialModeBlocks.size) {
 			str += `Not reporting QA or FAQ data in official mode for searches: ${[...officialModeBlocks].join(', ')}\n`
 		}
+		for (const e of searchErrors) {
+			str += `${e}\n`
+		}
 
 		return str
 	}
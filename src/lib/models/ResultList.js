@@ -0,0 +1,91 @@
+const { EmbedBuilder } = require('discord.js')
+
+const { YGORESOURCES_CARD_LINK, RESULTS_PER_PAGE } = require('./Defines')
+
+/**
+ * @typedef {Object} ResultEntry
+ * @property {Number} id The database ID of the result.
+ * @property {String} name The display name of the result.
+ * @property {String} detail Any extra detail to display alongside the result's name (optional).
+ */
+
+class ResultList {
+	/**
+	 * Constructs an empty list of results to be filled out later.
+	 * @param {String} title A description of what produced these results (e.g., the filters of a search).
+	 * @param {String} link The base of the link to each result, which is followed by its ID and locale.
+	 */
+	constructor(title = '', link = YGORESOURCES_CARD_LINK) {
+		this.title = title				// A description of what produced these results.
+		this.link = link				// The base of the link to each result (e.g., a card or QA database page).
+		/** @type {Array<ResultEntry>} */
+		this.results = []				// The results themselves, in the order they should be displayed.
+	}
+
+	/**
+	 * Generic wrapper for generating an embed, for when a list is the data of a Search.
+	 * Only the first page of results is displayed this way.
+	 * @param {Object} options Relevant options (type, locale, etc.) that are passed on to more specific embed functions.
+	 * @returns {Object} An object containing the generated embed.
+	 */
+	async generateEmbed(options) {
+		const embedData = {}
+		if ('locale' in options)
+			var locale = options.locale
+
+		embedData.embed = this.generateListEmbed(0, locale)
+
+		return embedData
+	}
+
+	/**
+	 * Returns the number of pages needed to display all of this list's results.
+	 * @param {Number} pageSize How many results to show per page.
+	 * @returns {Number} The number of pages.
+	 */
+	getNumPages(pageSize = RESULTS_PER_PAGE) {
+		return Math.max(1, Math.ceil(this.results.length / pageSize))
+	}
+
+	/**
+	 * Returns the results that appear on the given page.
+	 * @param {Number} page The (zero-indexed) page to get results for.
+	 * @param {Number} pageSize How many results to show per page.
+	 * @returns {Array<ResultEntry>} The results on that page.
+	 */
+	getPageResults(page, pageSize = RESULTS_PER_PAGE) {
+		return this.results.slice(page * pageSize, (page + 1) * pageSize)
+	}
+
+	/**
+	 * Generates an embed that displays one page of this list's results.
+	 * @param {Number} page The (zero-indexed) page to display.
+	 * @param {String} locale The locale to use for result links.
+	 * @param {Number} pageSize How many results to show per page.
+	 * @returns {EmbedBuilder} The generated embed.
+	 */
+	generateListEmbed(page, locale, pageSize = RESULTS_PER_PAGE) {
+		const listEmbed = new EmbedBuilder()
+		listEmbed.setTitle(this.title)
+		listEmbed.setColor(0x2C2F33)
+
+		const startIdx = page * pageSize
+		const lines = []
+		this.getPageResults(page, pageSize).forEach((r, i) => {
+			let line = `**${startIdx + i + 1}.** [${r.name}](${this.link}${r.id}:${locale})`
+			if (r.detail)
+				line += ` — ${r.detail}`
+			lines.push(line)
+		})
+		listEmbed.setDescription(lines.join('\n') || 'No results.')
+		listEmbed.setFooter({ text: `Page ${page + 1}/${this.getNumPages(pageSize)} • ${this.results.length} result(s)` })
+
+		return listEmbed
+	}
+
+	toString() {
+		return `${this.title} (${this.results.length} result(s))`
+	}
+}
+
+module.exports = ResultList
\ No newline at end of file
@@ -1,6 +1,6 @@
 const { EmbedBuilder } = require('discord.js')
 
-const { LocaleEmojis, KONAMI_QA_LINK, KONAMI_REQUEST_LOCALE, YGORESOURCES_QA_LINK, KONAMI_DB_LOGO  } = require('./Defines')
+const { Locales, LocaleEmojis, DefaultSettings, RULING_PAGE_LENGTH, KONAMI_QA_LINK, KONAMI_REQUEST_LOCALE, YGORESOURCES_QA_LINK, KONAMI_DB_LOGO  } = require('./Defines')
 const { breakUpDiscordMessage } = require('lib/utils/logging')
 const { replaceIdsWithNames } = require('lib/utils/regex')
 
@@ -14,6 +14,7 @@ class Ruling {
 		this.question = new Map()		// Ruling question. Each key is a locale, with value as the question in that locale.
 		this.answer = new Map()			// Ruling answer. Each key is a locale, with value as the question in that locale.
 		this.date = new Map()			// QA date. Each key is a locale, with value as the date that any of its values (title, question, or answer) were last modified in that locale.
+		this.outdatedLocales = new Set()	// Locales whose translation is outdated, i.e., the Japanese original has changed since it was translated.
 		this.cards = []					// An array of Cards that are tagged in this ruling.
 		this.tags = []					// Any specific tags this ruling was given. (CURRENTLY UNUSED)
 	}
@@ -31,42 +32,65 @@ class Ruling {
 			var locale = options.locale
 		if ('random' in options)
 			var random = options.random
+		// Which page of this ruling is being viewed, and whether its card lists are shown.
+		const view = options.rulingViews ? options.rulingViews.get(this) : undefined
 			
-		embedData = await this.generateRulingEmbed(locale, random)
+		// Whether to show outdated translations (rather than just the Japanese original).
+		const showOutdated = options.outdatedTranslations ?? DefaultSettings.outdatedTranslations
+			
+		embedData = await this.generateRulingEmbed(locale, random, view ? view.page : 0, view ? view.showCardLists : false, showOutdated)
+		// Let whatever's displaying this know it has more to show.
+		if ('embed' in embedData && (embedData.numPages > 1 || embedData.hasCardLists))
+			embedData.pagedRulings = [{ ruling: this, embed: embedData.embed, page: embedData.page, numPages: embedData.numPages, hasCardLists: embedData.hasCardLists }]
 
 		return embedData
 	}
 
 	/**
 	 * Generate an embed containing the data for this ruling in the given locale.
+	 * Long questions and answers are split into pages rather than truncated, and only the requested page is put in the embed.
+	 * Outdated translations are shown with a warning alongside the current Japanese original, or replaced by it entirely if they aren't to be shown.
 	 * @param {String} locale The locale to use when generating the embed.
 	 * @param {Boolean} random Whether the ruling is random. Spoilers the answer if so.
-	 * @returns {EmbedBuilder} The generated embed, or null if none could be generated (probably unsupported locale).
+	 * @param {Number} page The (zero-indexed) page of the question and answer to display.
+	 * @param {Boolean} showCardLists Whether to show the lists of other cards the answer applies to, which are normally pruned.
+	 * @param {Boolean} showOutdated Whether to show the translation if it's outdated.
+	 * @returns {Object} The generated embed along with the page it shows, how many pages there are, whether the answer has card lists, and the cards it mentions. Empty if none could be generated (probably unsupported locale).
 	 */
-	async generateRulingEmbed(locale, random = false) {
+	async generateRulingEmbed(locale, random = false, page = 0, showCardLists = false, showOutdated = true) {
 		const embedData = {}
 
 		// We shouldn't be here without data for this locale, but do a final sanity check to make sure we leave if so.
 		if (!this.title.has(locale))
 			return embedData
 
+		// Outdated translations can only be compared to (or replaced by) the Japanese original if we have it.
+		let outdatedNotice = undefined
+		let compareWithJa = false
+		if (this.isOutdated(locale) && this.title.has('ja')) {
+			if (showOutdated) {
+				outdatedNotice = `⚠️ **This ${Locales[locale]} translation is outdated.** The Japanese original has changed since it was translated, so it might not be accurate anymore. The current Japanese text is shown next to it.`
+				compareWithJa = true
+			}
+			else {
+				outdatedNotice = `⚠️ The ${Locales[locale]} translation of this Q&A is outdated, so the current Japanese original is shown instead.`
+				locale = 'ja'
+			}
+		}
+		else if (this.isOutdated(locale))
+			outdatedNotice = `⚠️ **This ${Locales[locale]} translation is outdated.** The Japanese original has changed since it was translated, so it might not be accurate anymore.`
+
 		const konamiDbLink = `${KONAMI_QA_LINK}${this.id}${KONAMI_REQUEST_LOCALE}ja`
 		const ygoresourcesDbLink = `${YGORESOURCES_QA_LINK}${this.id}:${locale}`
 
-		// Konami has made a habit of listing 5 billion other cards a ruling could possibly apply to.
-		// YGOResources DB places "~~~" before these lists to denote that one of these card lists is starting (and to make it collapsible),
-		// so look for that first to prune it and make sure those long-ass lists don't appear in the ruling embeds.
-		// We do this before replacing IDs with names so that we avoid having to look up all the IDs in the list.
-		const prunedAnswer = this.answer.get(locale).split('~~~')[0].trim()
-
-		let replacedTitle = await replaceIdsWithNames(this.title.get(locale), locale, false)
-		let replacedQuestion = await replaceIdsWithNames(this.question.get(locale), locale)
-		let replacedAnswer = await replaceIdsWithNames(prunedAnswer, locale)
-		if (random)
-			replacedAnswer = `||${replacedAnswer}||`
+		// Keep track of every card this mentions so they can be looked up.
+		const mentionedCards = new Map()
+		const text = await this.formatRulingText(locale, random, showCardLists, mentionedCards)
+		let hasCardLists = text.hasCardLists
+		let replacedTitle = text.title
 
 		// Some QAs have the same title and question. In those cases, just make the title the ID.
-		if (replacedTitle === replacedQuestion)
+		if (replacedTitle === text.question.join(''))
 			replacedTitle = `Q&A #${this.id}`
 		// Maximum embed author name is 256 characters. Break up titles before they're too long.
 		if (replacedTitle.length >= 256) {
@@ -74,50 +98,161 @@ class Ruling {
 			const truncTitle = breakUpDiscordMessage(replacedTitle, 256, '.')
 			replacedTitle = truncTitle[0]
 		}
-		
-		// Maximum field length is 1024 characters. Break up questions and answers before they're too long.
-		replacedQuestion = breakUpDiscordMessage(replacedQuestion, 1024, '\n')
-		replacedAnswer = breakUpDiscordMessage(replacedAnswer, 1024, '\n')
-		// Truncate if necessary.
-		const truncateAnswer = replacedAnswer.length > 2
-		if (truncateAnswer) replacedAnswer.length = 2
+
 		// Add translation info to the end of the answer field.
-		let dateView = `**Translated**: ${this.date.get(locale)} | **View**: ${LocaleEmojis.ja} [ja](${konamiDbLink})`
+		let dateView = `**Translated**: ${this.date.get(locale)}`
+		if (compareWithJa)
+			dateView += ` (outdated) | **Japanese Updated**: ${this.date.get('ja')}`
+		dateView += ` | **View**: ${LocaleEmojis.ja} [ja](${konamiDbLink})`
 		if (locale !== 'ja')
 			dateView += ` **·** ${LocaleEmojis[locale]} [${locale}](${ygoresourcesDbLink})`
-		if (truncateAnswer) {
-			dateView += `\nNote: The answer shown here was truncated due to being prohibitively long.`
-		}
-		const answerWithDates = replacedAnswer[replacedAnswer.length - 1] + `\n\n${dateView}`
-		if (answerWithDates.length < 1024) {
-			replacedAnswer[replacedAnswer.length - 1] = answerWithDates
+
+		// Each group of fields is kept together on the same page.
+		const fieldGroups = []
+		if (compareWithJa) {
+			// Put each part of the translation side by side with the same part of the Japanese original.
+			const jaText = await this.formatRulingText('ja', random, showCardLists, mentionedCards)
+			hasCardLists = hasCardLists || jaText.hasCardLists
+			for (const part of ['question', 'answer']) {
+				const partName = part === 'question' ? 'Question' : 'Answer'
+				const numChunks = Math.max(text[part].length, jaText[part].length)
+				for (let i = 0; i < numChunks; i++)
+					fieldGroups.push([
+						{ name: i === 0 ? `__${partName}__` : `__${partName} (cont.)__`, value: text[part][i] ?? '\u200b', inline: true },
+						{ name: i === 0 ? `__${partName} (${LocaleEmojis.ja} Current)__` : `__${partName} (${LocaleEmojis.ja} cont.)__`, value: jaText[part][i] ?? '\u200b', inline: true }
+					])
+			}
+			// The dates go on their own, which also keeps the last answer fields from sharing a row with anything else.
+			fieldGroups.push([{ name: '\u200b', value: dateView, inline: false }])
 		}
 		else {
-			// If the last answer field + dates is too long, just make the dates their own field.
-			replacedAnswer.push(dateView)
+			const answerWithDates = text.answer[text.answer.length - 1] + `\n\n${dateView}`
+			if (answerWithDates.length < 1024) {
+				text.answer[text.answer.length - 1] = answerWithDates
+			}
+			else {
+				// If the last answer field + dates is too long, just make the dates their own field.
+				text.answer.push(dateView)
+			}
+			fieldGroups.push(
+				...text.question.map((q, i) => [{ name: i === 0 ? '__Question__' : '__Question (cont.)__', value: q, inline: false }]),
+				...text.answer.map((a, i) => [{ name: i === 0 ? '__Answer__' : '__Answer (cont.)__', value: a, inline: false }])
+			)
 		}
 
+		// Split every field across pages, starting a new page whenever the current one would get too long.
+		const pages = []
+		let pageLength = 0
+		for (const g of fieldGroups) {
+			const groupLength = g.reduce((len, f) => len + f.value.length, 0)
+			if (!pages.length || pageLength + groupLength > RULING_PAGE_LENGTH) {
+				pages.push([])
+				pageLength = 0
+			}
+			const currPage = pages[pages.length - 1]
+			// Discord fits up to three inline fields in a row, so break the row between side-by-side pairs.
+			if (currPage.length && currPage[currPage.length - 1].inline && g[0].inline)
+				currPage.push({ name: '\u200b', value: '\u200b', inline: false })
+			currPage.push(...g)
+			pageLength += groupLength
+		}
+		page = Math.min(Math.max(page, 0), pages.length - 1)
+
 		const finalEmbed = new EmbedBuilder()
 
 		finalEmbed.setAuthor({ name: replacedTitle, url: konamiDbLink, iconURL: KONAMI_DB_LOGO,  })
-		for (let i = 0; i < replacedQuestion.length; i++) {
-			finalEmbed.addFields({
-				name: i === 0 ? '__Question__' : '__Question (cont.)__',
-				value: replacedQuestion[i], inline: false
-			})
-		}
-		for (let i = 0; i < replacedAnswer.length; i++) {
-			finalEmbed.addFields({
-				name: i == 0 ? '__Answer__' : '__Answer (cont.)__',
-				value: replacedAnswer[i], inline: false
-			})
-		}
+		if (outdatedNotice)
+			finalEmbed.setDescription(outdatedNotice)
+		finalEmbed.addFields(...pages[page])
 
 		embedData.embed = finalEmbed
+		embedData.page = page
+		embedData.numPages = pages.length
+		embedData.hasCardLists = hasCardLists
+		if (mentionedCards.size)
+			embedData.mentionedCards = [...mentionedCards].map(([id, name]) => { return { id: id, name: name, locale: locale } })
 
 		return embedData
 	}
 
+	/**
+	 * Generate an embed containing only this ruling's title and question in the given locale, for asking it without giving away the answer (e.g., in a quiz).
+	 * The whole question is shown rather than split into pages, and the title doesn't link to the Q&A, since the answer is right there.
+	 * @param {String} locale The locale to use when generating the embed.
+	 * @returns {Promise<EmbedBuilder>} The generated embed, or undefined if this ruling isn't in that locale.
+	 */
+	async generateQuestionEmbed(locale) {
+		if (!this.title.has(locale))
+			return undefined
+
+		const text = await this.formatRulingText(locale, false, false, new Map())
+		let replacedTitle = text.title
+		// Same as the full embed, use the ID for titles that are just the question, and break up titles that are too long.
+		if (replacedTitle === text.question.join(''))
+			replacedTitle = `Q&A #${this.id}`
+		if (replacedTitle.length >= 256)
+			replacedTitle = breakUpDiscordMessage(replacedTitle, 256, '.')[0]
+
+		const questionEmbed = new EmbedBuilder()
+		questionEmbed.setAuthor({ name: replacedTitle, iconURL: KONAMI_DB_LOGO })
+		questionEmbed.addFields(...text.question.map((q, i) => { return { name: i === 0 ? '__Question__' : '__Question (cont.)__', value: q, inline: false } }))
+
+		return questionEmbed
+	}
+
+	/**
+	 * Helper function to get this ruling's title, question, and answer in a locale ready to be displayed, 
+	 * with card IDs replaced by names and the question and answer broken up into field-sized chunks.
+	 * @param {String} locale The locale of the text.
+	 * @param {Boolean} random Whether the ruling is random. Spoilers the answer if so.
+	 * @param {Boolean} showCardLists Whether to show the lists of other cards the answer applies to, which are normally pruned.
+	 * @param {Map<Number, String>} mentionedCards Collects every card the text mentions.
+	 * @returns {Object} The title, the question and answer chunks, and whether the answer has card lists.
+	 */
+	async formatRulingText(locale, random, showCardLists, mentionedCards) {
+		// Konami has made a habit of listing 5 billion other cards a ruling could possibly apply to.
+		// YGOResources DB places "~~~" before these lists to denote that one of these card lists is starting (and to make it collapsible),
+		// so look for that first to prune it and make sure those long-ass lists don't appear in the ruling embeds unless they're asked for.
+		// We do this before replacing IDs with names so that we avoid having to look up all the IDs in the list.
+		const fullAnswer = this.answer.get(locale)
+		const hasCardLists = fullAnswer.includes('~~~')
+		const prunedAnswer = showCardLists ? fullAnswer.replace(/\s*~~~\s*/g, '\n\n').trim() : fullAnswer.split('~~~')[0].trim()
+
+		const replacedTitle = await replaceIdsWithNames(this.title.get(locale), locale, false, mentionedCards)
+		const replacedQuestion = await replaceIdsWithNames(this.question.get(locale), locale, true, mentionedCards)
+		const replacedAnswer = await replaceIdsWithNames(prunedAnswer, locale, true, mentionedCards)
+
+		// Maximum field length is 1024 characters. Break up questions and answers before they're too long.
+		// Leave room in each answer chunk to spoiler it if necessary.
+		let answerChunks = breakUpDiscordMessage(replacedAnswer, 1020, '\n')
+		if (random)
+			answerChunks = answerChunks.map(a => `||${a}||`)
+
+		return {
+			title: replacedTitle,
+			question: breakUpDiscordMessage(replacedQuestion, 1024, '\n'),
+			answer: answerChunks,
+			hasCardLists: hasCardLists
+		}
+	}
+
+	/**
+	 * Returns whether this ruling's translation in a locale is outdated, i.e., the Japanese original has changed since it was translated.
+	 * @param {String} locale The locale to check.
+	 * @returns {Boolean} Whether the translation is outdated.
+	 */
+	isOutdated(locale) {
+		return this.outdatedLocales.has(locale)
+	}
+
+	/**
+	 * Returns every locale this ruling has a title in, i.e., every locale it can be displayed in.
+	 * @returns {Array<String>} The locales this ruling is available in.
+	 */
+	getAvailableLocales() {
+		return [...this.title.keys()]
+	}
+
 	/**
 	 * Prints this object as a string. Only reports QA ID for now.
 	 */
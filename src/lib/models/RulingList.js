@@ -0,0 +1,101 @@
+const Ruling = require('./Ruling')
+const { MAX_RULING_RESULTS } = require('./Defines')
+
+class RulingList {
+	/**
+	 * Constructs an empty list of rulings to be filled out later.
+	 * @param {String} title A description of what these rulings have in common (e.g., the cards they involve).
+	 */
+	constructor(title = '') {
+		this.title = title				// A description of what these rulings have in common.
+		/** @type {Array<Number>} */
+		this.qaIds = []					// The IDs of every QA that matched, in the order they should be displayed.
+		/** @type {Array<Ruling>} */
+		this.rulings = []				// The rulings that have been loaded so far, in the same order as their IDs.
+		this.numLoaded = 0				// How many of the IDs have been loaded (or tried to be, if the API couldn't find them).
+		this.total = 0					// The total number of rulings that matched.
+	}
+
+	/**
+	 * Loads every ruling in this list that hasn't been loaded yet.
+	 * Uncached QAs are queried in batches of one page of results, so a long list doesn't send the API a request for all of them at once.
+	 */
+	async loadRulings() {
+		const { getQaApiData, populateRulingFromYgoresourcesApi } = require('handlers/YGOResourcesHandler')
+
+		while (this.numLoaded < this.qaIds.length) {
+			const pageIds = this.qaIds.slice(this.numLoaded, this.numLoaded + MAX_RULING_RESULTS)
+			for (const qa of await getQaApiData(pageIds)) {
+				const ruling = new Ruling()
+				populateRulingFromYgoresourcesApi(qa, ruling)
+				this.rulings.push(ruling)
+			}
+			this.numLoaded += pageIds.length
+		}
+	}
+
+	/**
+	 * Generic wrapper for generating embeds, for when a list is the data of a Search.
+	 * Unlike other data, this generates one embed per ruling.
+	 * @param {Object} options Relevant options (type, locale, etc.) that are passed on to more specific embed functions.
+	 * @returns {Object} An object containing the generated embeds.
+	 */
+	async generateEmbed(options) {
+		const embedData = {}
+		// Do not send any of these in "Official" mode.
+		if ('official' in options && options.official)
+			return embedData
+		if ('locale' in options)
+			var locale = options.locale
+
+		await this.loadRulings()
+
+		const embeds = []
+		const pagedRulings = []
+		const mentionedCards = []
+		for (let i = 0; i < this.rulings.length; i++) {
+			const r = this.rulings[i]
+			// Not every ruling is translated into every locale. Fall back to EN, then whatever the ruling does have.
+			let rulingLocale = locale
+			if (!r.title.has(rulingLocale))
+				rulingLocale = r.title.has('en') ? 'en' : r.title.keys().next().value
+
+			const rulingData = await r.generateEmbed({ ...options, locale: rulingLocale })
+			if ('embed' in rulingData) {
+				// Number against what was actually loaded, since QAs the API couldn't find are left out.
+				rulingData.embed.setFooter({ text: `${this.title} • ${i + 1}/${this.rulings.length}` })
+				embeds.push(rulingData.embed)
+			}
+			if ('pagedRulings' in rulingData)
+				pagedRulings.push(...rulingData.pagedRulings)
+			if ('mentionedCards' in rulingData)
+				mentionedCards.push(...rulingData.mentionedCards)
+		}
+		if (embeds.length)
+			embedData.embeds = embeds
+		if (pagedRulings.length)
+			embedData.pagedRulings = pagedRulings
+		if (mentionedCards.length)
+			embedData.mentionedCards = mentionedCards
+
+		return embedData
+	}
+
+	/**
+	 * Returns every locale any of these rulings has a title in.
+	 * @returns {Array<String>} The locales these rulings are available in.
+	 */
+	getAvailableLocales() {
+		const locales = new Set()
+		for (const r of this.rulings)
+			r.getAvailableLocales().forEach(l => locales.add(l))
+
+		return [...locales]
+	}
+
+	toString() {
+		return `${this.title} (${this.total} QA(s))`
+	}
+}
+
+module.exports = RulingList
\ No newline at end of file
@@ -1,6 +1,9 @@
 const Card = require('./Card')
 const Ruling = require('./Ruling')
+const ResultList = require('./ResultList')
+const RulingList = require('./RulingList')
 const { TCGPlayerSet } = require('./TCGPlayer')
+const { PASSCODE_REGEX, PRINT_CODE_REGEX } = require('./Defines')
 
 /**
  * Container class for a single search. It tracks any original terms used to map to its data,
@@ -24,6 +27,16 @@ const { TCGPlayerSet } = require('./TCGPlayer')
 		// This starts the same as the original, but can change over time
 		// as the databases/APIs find a better search term.
 		this.term = content
+		// If the search looks like a print code (e.g., LOB-EN001), keep track of it.
+		// It's used to resolve the card and to narrow down price data to that exact print.
+		this.printCode = typeof content === 'string' && PRINT_CODE_REGEX.test(content) ? content.toUpperCase() : undefined
+		// Similarly, database IDs are never more than 5 digits long, so any longer number is treated as a passcode (e.g., 89631139).
+		this.passcode = Number.isInteger(content) && PASSCODE_REGEX.test(content) ? content : undefined
+		// The indices of the only FAQ blocks to display (e.g., only the FAQs for a card's second effect). Empty means display them all.
+		/** @type {Set<String>} */
+		this.faqIndices = new Set()
+		// Whether FAQs were also asked for without narrowing them down. That takes precedence over any narrowing.
+		this.allFaqs = false
 		/** 
 		 * @type {Map<String,Set<String>>} Each locale-type pair associated with this search.
 		 */
@@ -32,14 +45,24 @@ const { TCGPlayerSet } = require('./TCGPlayer')
 			this.addTypeToLocale(type, locale)
 
 		/**
-		 * @type {Card | Ruling | TCGPlayerSet} This starts out unset but will be set to something when data is found.
+		 * @type {Card | Ruling | TCGPlayerSet | ResultList | RulingList} This starts out unset but will be set to something when data is found.
 		 */
 		this.data = undefined
 
 		// This is used to store any raw data we found while making our way through databases/APIs.
-		// It is then converted into a proper Card or Ruling, depending on what produced the data.
+		// It is then converted into a proper Card, Ruling, ResultList, or RulingList, depending on what produced the data.
 		// It is voided after use.
 		this.rawData = undefined
+
+		/**
+		 * @type {Array<{id: Number, name: String, score: Number}>} If the search term only had low-confidence or too-close-to-call name matches,
+		 * the best of those matches, so the user can be asked which one they meant.
+		 */
+		this.candidates = undefined
+
+		// If the search couldn't be resolved for a specific reason the user should know about, what that reason is.
+		// This is reported instead of the search just being unresolved.
+		this.error = undefined
 	}
 
 	/**
@@ -75,6 +98,20 @@ const { TCGPlayerSet } = require('./TCGPlayer')
 		return false
 	}
 
+	/**
+	 * Narrows down the FAQ blocks this Search displays to include the given one, or makes it display all of them.
+	 * Once all of them have been asked for, they stay displayed no matter what else is asked for.
+	 * @param {String} faqIndex The index of the FAQ block to display, or undefined to display all of them.
+	 */
+	addFaqIndex(faqIndex = undefined) {
+		if (faqIndex === undefined) {
+			this.allFaqs = true
+			this.faqIndices.clear()
+		}
+		else if (!this.allFaqs)
+			this.faqIndices.add(faqIndex)
+	}
+
 	/**
 	 * Checks whether a search has resolved all necessary data related to its search types.
 	 * i.e., does it have data for all the locales and types it searched?
@@ -228,6 +265,12 @@ const { TCGPlayerSet } = require('./TCGPlayer')
 				thisSearchLocale.add(...otherTypes)
 		})
 
+		// Add any FAQ blocks the other search was narrowed down to, unless it wanted all of them.
+		if (otherSearch.allFaqs)
+			this.addFaqIndex()
+		else
+			otherSearch.faqIndices.forEach(idx => this.addFaqIndex(idx))
+
 		// Integrate any new data this might have.
 		if (this.data === undefined && otherSearch.data !== undefined)
 			this.data = otherSearch.data
@@ -0,0 +1,74 @@
+const { ActionRowBuilder, ButtonBuilder, StringSelectMenuBuilder } = require('discord.js')
+
+/**
+ * Helper function to generate the row of buttons used to flip through the pages of a paginated message.
+ * @param {Number} page The (zero-indexed) page currently being displayed.
+ * @param {Number} numPages The total number of pages.
+ * @param {Boolean} disable Whether to disable all the buttons (e.g., once the message stops listening for interactions).
+ * @param {String} prefix The prefix of the buttons' custom IDs, for messages that page through more than one thing.
+ * @param {String} label What to call each page in the page count.
+ * @returns {ActionRowBuilder} The row containing the page buttons.
+ */
+function generatePageButtons(page, numPages, disable = false, prefix = 'page', label = 'Page') {
+	const pageRow = new ActionRowBuilder()
+	pageRow.addComponents(
+		new ButtonBuilder()
+			.setCustomId(`${prefix}_prev_button`)
+			.setLabel('◀')
+			.setStyle('Secondary')
+			.setDisabled(disable || page <= 0),
+		new ButtonBuilder()
+			.setCustomId(`${prefix}_count_button`)
+			.setLabel(`${label} ${page + 1}/${numPages}`)
+			.setStyle('Secondary')
+			.setDisabled(true),
+		new ButtonBuilder()
+			.setCustomId(`${prefix}_next_button`)
+			.setLabel('▶')
+			.setStyle('Secondary')
+			.setDisabled(disable || page >= numPages - 1)
+	)
+
+	return pageRow
+}
+
+/**
+ * Helper function to generate a row containing a single select menu.
+ * Labels and descriptions are truncated to the max length Discord allows, and only the first 25 options are used.
+ * @param {String} customId The custom ID of the select menu.
+ * @param {String} placeholder The placeholder text shown when nothing is selected.
+ * @param {Array<Object>} options The options of the select menu, each with a label, value, and (optionally) description, emoji, and default.
+ * @param {Boolean} disable Whether to disable the select menu.
+ * @returns {ActionRowBuilder} The row containing the select menu.
+ */
+function generateSelectRow(customId, placeholder, options, disable = false) {
+	const selectOptions = []
+	for (const op of options.slice(0, 25)) {
+		const selectOp = {
+			label: op.label.length > 100 ? `${op.label.slice(0, 99)}…` : op.label,
+			value: `${op.value}`
+		}
+		if (op.description)
+			selectOp.description = op.description.length > 100 ? `${op.description.slice(0, 99)}…` : op.description
+		if (op.emoji)
+			selectOp.emoji = op.emoji
+		if (op.default)
+			selectOp.default = true
+		selectOptions.push(selectOp)
+	}
+
+	const selectRow = new ActionRowBuilder()
+	selectRow.addComponents(
+		new StringSelectMenuBuilder()
+			.setCustomId(customId)
+			.setPlaceholder(placeholder)
+			.addOptions(selectOptions)
+			.setDisabled(disable)
+	)
+
+	return selectRow
+}
+
+module.exports = {
+	generatePageButtons, generateSelectRow
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Japanese (and other CJK) text isn't separated by spaces, so each of its characters is diffed on its own.
+const DIFF_TOKEN_REGEX = /[\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef\uac00-\ud7af]|[^\s\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef\uac00-\ud7af]+|\s+/g
+// Past this many comparisons, don't bother finding the smallest diff and just treat the whole changed region as replaced.
+const MAX_DIFF_CELLS = 1000000
+
+/**
+ * Finds what changed between two versions of some text, word by word.
+ * @param {String} oldText The old version of the text.
+ * @param {String} newText The new version of the text.
+ * @returns {Array<{type: String, text: String}>} The pieces of the text in order, each either 'same', 'removed', or 'added'.
+ */
+function diffText(oldText, newText) {
+	const oldTokens = oldText.match(DIFF_TOKEN_REGEX) ?? []
+	const newTokens = newText.match(DIFF_TOKEN_REGEX) ?? []
+
+	// Most edits only touch a small part of the text, so skip over everything the same at the start and end.
+	let start = 0
+	while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start])
+		start++
+	let oldEnd = oldTokens.length
+	let newEnd = newTokens.length
+	while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+		oldEnd--
+		newEnd--
+	}
+	const oldMid = oldTokens.slice(start, oldEnd)
+	const newMid = newTokens.slice(start, newEnd)
+
+	const ops = []
+	const pushOp = (type, text) => {
+		const last = ops[ops.length - 1]
+		if (last && last.type === type) last.text += text
+		else ops.push({ type: type, text: text })
+	}
+
+	pushOp('same', oldTokens.slice(0, start).join(''))
+	if ((oldMid.length + 1) * (newMid.length + 1) > MAX_DIFF_CELLS) {
+		pushOp('removed', oldMid.join(''))
+		pushOp('added', newMid.join(''))
+	}
+	else {
+		// Longest common subsequence of what's left, working backwards so it can be walked forwards after.
+		const width = newMid.length + 1
+		const lcs = new Uint32Array((oldMid.length + 1) * width)
+		for (let i = oldMid.length - 1; i >= 0; i--)
+			for (let j = newMid.length - 1; j >= 0; j--)
+				lcs[i * width + j] = oldMid[i] === newMid[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+
+		let i = 0
+		let j = 0
+		while (i < oldMid.length && j < newMid.length) {
+			if (oldMid[i] === newMid[j]) {
+				pushOp('same', oldMid[i])
+				i++
+				j++
+			}
+			else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])
+				pushOp('removed', oldMid[i++])
+			else
+				pushOp('added', newMid[j++])
+		}
+		pushOp('removed', oldMid.slice(i).join(''))
+		pushOp('added', newMid.slice(j).join(''))
+	}
+	pushOp('same', oldTokens.slice(oldEnd).join(''))
+
+	return ops.filter(o => o.text)
+}
+
+/**
+ * Formats a diff with Discord markdown: removed text is struck through and added text is bolded.
+ * Long stretches of unchanged text are cut down to just the bits around each change.
+ * @param {Array<{type: String, text: String}>} diff The diff, as returned by diffText.
+ * @param {Number} maxLength The maximum length of the formatted diff.
+ * @param {Number} context How many characters of unchanged text to keep on either side of each change.
+ * @returns {String} The formatted diff.
+ */
+function formatDiff(diff, maxLength = 1024, context = 60) {
+	const pieces = []
+	diff.forEach((d, idx) => {
+		if (d.type === 'same') {
+			let text = d.text
+			const keepBefore = idx > 0 ? context : 0
+			const keepAfter = idx < diff.length - 1 ? context : 0
+			if (diff.length > 1 && text.length > keepBefore + keepAfter + 1)
+				text = `${text.slice(0, keepBefore)}…${keepAfter ? text.slice(-keepAfter) : ''}`
+			pieces.push(text)
+		}
+		else {
+			// Whitespace can't be struck through or bolded, only wrap what's around it.
+			const [, lead, core, trail] = d.text.match(/^(\s*)([\s\S]*?)(\s*)$/)
+			if (!core) pieces.push(d.type === 'added' ? d.text : '')
+			else pieces.push(d.type === 'removed' ? `${lead}~~${core}~~${trail}` : `${lead}**${core}**${trail}`)
+		}
+	})
+
+	// Cut off whole pieces, so no markdown is left open.
+	let formatted = ''
+	for (const p of pieces) {
+		if (formatted.length + p.length > maxLength - 1) {
+			formatted += '…'
+			break
+		}
+		formatted += p
+	}
+
+	return formatted.trim()
+}
+
+module.exports = {
+	diffText, formatDiff
+}
\ No newline at end of file
@@ -18,7 +18,8 @@ function setupQueryRegex(openSymbol, closeSymbol) {
 		'(?<!^' + open + ')' +                                          // ignore cases with multiple of the open symbol in a row, e.g. [[card name]]
 		open + '(' + angleIgnore + '[^' + close + ']+?)' + close +      // match what's in between the open/close symbols, e.g. the 'card name' in [card name]
 		'(?!' + close + ')' +                                           // ignore cases with multiple of the close symbol in a row
-		'(' + regexLocales + ')?'                                     	// match locale if present, e.g. the 'fr' in [card name]fr
+		'(' + regexLocales + ')?' +                                    	// match locale if present, e.g. the 'fr' in [card name]fr
+		'(?:#(p?\\d+))?'                                                // match FAQ effect index if present, e.g. the '2' in f[card name]#2
 		, 'g')															// global flag to ensure we match all possible
 }
 
@@ -58,8 +59,9 @@ function findYugipediaProperty(prop, data, toInt = false) {
  * @param {String} text The text that contains IDs to be replaced.
  * @param {String} locale The locale to use when replacing IDs.
  * @param {Boolean} bold Whether to bold the newly replaced names.
+ * @param {Map<Number, String>} foundCards If given, every card whose ID was replaced is added to this, mapped to its name.
  */
- async function replaceIdsWithNames(text, locale, bold = true) {
+ async function replaceIdsWithNames(text, locale, bold = true, foundCards = undefined) {
 	// This is in here to avoid a circular dependency. Not ideal, but easy.
 	const Query = require('lib/models/Query')
 	const Search = require('lib/models/Search')
@@ -88,6 +90,7 @@ function findYugipediaProperty(prop, data, toInt = false) {
 				const card = cardSearch.data
 				if (bold) text = text.replace(new RegExp(`<<\s*${id}\s*>>`, 'g'), `**${card.name.get(locale)}**`)
 				else text = text.replace(new RegExp(`<<\s*${id}\s*>>`, 'g'), card.name.get(locale))
+				if (foundCards) foundCards.set(id, card.name.get(locale))
 			}
 			// This shouldn't happen, but if this fails then we couldn't map the ID to a card.
 		}